@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+// Command-line interface: find palindromes, benchmark the algorithms and run scaling
+// sweeps without the web server. See `lps --help`.
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { findLongestPalindrome, listAlgorithms, validatePalindrome } = require('../index');
+const { algorithms, parseSelection, runBenchmark } = require('../lib/registry');
+const { parseSweep, runSweep } = require('../lib/sweep');
+const { isFastaFile } = require('../lib/sequence');
+const { csvField } = require('../lib/reports');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_INVALID = 1; // A result failed validatePalindrome, or the algorithms disagree
+const EXIT_USAGE = 2;   // Bad arguments or options, or unreadable input
+const EXIT_ERROR = 3;   // Anything else went wrong
+
+const FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage:
+  lps find [file] [options]    Find the longest palindrome with one algorithm
+  lps bench [file] [options]   Measure the selected algorithms on the input
+  lps sweep [file] [options]   Measure the algorithms across input sizes (file: base text)
+  lps algorithms               List the algorithms
+
+Input is read from the file, or from stdin when it is "-" or missing. FASTA files
+(.fa, .fasta, .fna) are matched in sequence mode unless --mode is given.
+
+Options:
+  -a, --algorithm <name>       Algorithm for find (default manacher)
+      --algorithms <a,b,...>   Algorithms for bench (default all) and sweep (default
+                               manacher,eertree)
+      --mode <mode>            normalized (default), raw or sequence
+      --normalization <json>   Normalization options, e.g. '{"letters":"unicode"}'
+      --granularity <unit>     char (default), word or line
+      --word-pattern <regex>   What counts as a word with --granularity word
+      --mismatches <k>         Mismatches the approximate algorithm allows
+      --gap <n>                Middle spacer the approximate algorithm allows
+      --iterations <n>         Measured runs per algorithm
+      --warmups <n>            Warmup runs per algorithm
+      --timeout <ms>           Time allowed per algorithm (per size in a sweep)
+      --max-duration <ms>      Time allowed for a whole sweep (default 2 minutes)
+      --order <order>          manacher-first (default), shuffled or fixed
+      --sizes <list>           Sweep sizes, e.g. 1K,2K,4K
+      --generator <type>       Sweep input generator when no file is given
+      --seed <n>               Generator seed
+  -f, --format <format>        table (default), json or csv
+  -v, --verbose                Show progress logs on stderr
+  -h, --help                   Show this help
+
+Exit codes: 0 success, 1 a palindrome failed validation or the algorithms disagree,
+2 usage or input error, 3 other errors.`;
+
+const OPTIONS = {
+  algorithm: { type: 'string', short: 'a' },
+  algorithms: { type: 'string' },
+  mode: { type: 'string' },
+  normalization: { type: 'string' },
+  granularity: { type: 'string' },
+  'word-pattern': { type: 'string' },
+  mismatches: { type: 'string' },
+  gap: { type: 'string' },
+  iterations: { type: 'string' },
+  warmups: { type: 'string' },
+  timeout: { type: 'string' },
+  'max-duration': { type: 'string' },
+  order: { type: 'string' },
+  sizes: { type: 'string' },
+  generator: { type: 'string' },
+  seed: { type: 'string' },
+  format: { type: 'string', short: 'f', default: 'table' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Results are written here; process.stdout itself is taken over by routeLogs
+const writeOutput = process.stdout.write.bind(process.stdout);
+
+// Error for bad arguments or input, reported with EXIT_USAGE
+class UsageError extends Error {}
+
+/**
+ * Keeps stdout for results. The library logs progress with console.log, and the
+ * measurement workers share this process's stdout, so both are sent to stderr with
+ * --verbose and dropped otherwise.
+ * 
+ * @param {boolean} verbose - Whether to show the logs
+ */
+function routeLogs(verbose) {
+  process.stdout.write = verbose ? process.stderr.write.bind(process.stderr) : () => true;
+}
+
+/**
+ * Reads the input text from a file, or from stdin for "-" or no file
+ * 
+ * @param {string} [file] - Path given on the command line
+ * @returns {string} - File contents
+ */
+function readInput(file) {
+  if (!file || file === '-') {
+    if (process.stdin.isTTY) {
+      throw new UsageError('No input: give a file or pipe text to stdin');
+    }
+    return fs.readFileSync(0, 'utf8');
+  }
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new UsageError(`Cannot read ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Turns command-line options into the fields the server routes accept, so they are
+ * validated the same way
+ * 
+ * @param {object} values - Parsed options
+ * @param {string} [file] - Input file, which selects sequence mode for FASTA files
+ * @returns {object} - Request fields
+ */
+function toFields(values, file) {
+  const { 'word-pattern': wordPattern, 'max-duration': maxDuration, format, verbose, help, algorithm, ...fields } = values;
+  return {
+    ...fields,
+    wordPattern,
+    maxDuration,
+    mode: values.mode || (file && isFastaFile(file) ? 'sequence' : undefined)
+  };
+}
+
+/**
+ * Formats rows of values as CSV or as an aligned plain-text table
+ * 
+ * @param {Array<string>} columns - Column headings
+ * @param {Array<Array>} rows - Row values, in column order
+ * @param {string} format - 'csv' or 'table'
+ * @returns {string} - Formatted text, ending with a newline
+ */
+function formatRows(columns, rows, format) {
+  if (format === 'csv') {
+    return [columns, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+  
+  const cells = [columns, ...rows].map(row => row.map(value =>
+    (value === undefined || value === null ? '' : String(value)).replace(/\s+/g, ' ')));
+  const widths = columns.map((_, i) => Math.max(...cells.map(row => row[i].length)));
+  return cells.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n') + '\n';
+}
+
+// Whether a result should be checked as an exact palindrome
+function isExact(algorithmName) {
+  const algorithm = algorithms.find(a => a.name === algorithmName);
+  return !(algorithm && algorithm.approximate);
+}
+
+// lps find: the longest palindrome from one algorithm
+function find(file, values) {
+  const text = readInput(file);
+  const fields = toFields(values, file);
+  
+  let result;
+  try {
+    result = findLongestPalindrome(text, { ...fields, algorithm: values.algorithm });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  
+  const selection = parseSelection(fields);
+  const valid = !result.substring || !isExact(result.algorithm) ||
+    validatePalindrome(result.substring, selection.normalization, selection.mode, selection.tokenization);
+  
+  if (values.format === 'json') {
+    writeOutput(JSON.stringify({ ...result, valid }, null, 2) + '\n');
+  } else {
+    const { substring, ...rest } = result;
+    const rows = Object.entries({ ...rest, valid }).map(([key, value]) =>
+      [key, typeof value === 'object' && value !== null ? JSON.stringify(value) : value]);
+    rows.push(['substring', substring]);
+    writeOutput(formatRows(['field', 'value'], rows, values.format));
+  }
+  return valid ? EXIT_OK : EXIT_INVALID;
+}
+
+// lps bench: time and memory of every selected algorithm
+async function bench(file, values) {
+  const text = readInput(file);
+  const selection = parseSelection(toFields(values, file));
+  if (selection.error) {
+    throw new UsageError(selection.error);
+  }
+  
+  const payload = await runBenchmark(text, selection);
+  let exitCode = EXIT_OK;
+  payload.results.forEach(entry => {
+    if (!entry.result || !isExact(entry.algorithm)) return;
+    entry.valid = validatePalindrome(entry.result, selection.normalization, selection.mode, selection.tokenization);
+    if (!entry.valid) exitCode = EXIT_INVALID;
+  });
+  if (!payload.agreement) {
+    payload.disagreements.forEach(({ algorithm, reason }) => console.error(`${algorithm} disagrees: ${reason}`));
+    exitCode = EXIT_INVALID;
+  }
+  
+  if (values.format === 'json') {
+    writeOutput(JSON.stringify(payload, null, 2) + '\n');
+    return exitCode;
+  }
+  
+  const columns = ['algorithm', 'status', 'length', 'iterations', 'mean_ms', 'median_ms', 'p95_ms', 'memory_bytes', 'valid', 'palindrome'];
+  const rows = payload.results.map(entry => {
+    const stats = entry.timeStats || {};
+    const status = entry.skipped ? `skipped: ${entry.skipped}` : entry.timedOut ? 'timed out' : 'ok';
+    return [
+      entry.algorithm,
+      status,
+      entry.result.length,
+      entry.iterations,
+      stats.mean ?? entry.executionTime,
+      stats.median,
+      stats.p95,
+      entry.memoryStats ? entry.memoryStats.median : entry.memoryUsed,
+      entry.valid,
+      values.format === 'table' && entry.result.length > 60 ? entry.result.substring(0, 60) + '...' : entry.result
+    ];
+  });
+  writeOutput(formatRows(columns, rows, values.format));
+  return exitCode;
+}
+
+// lps sweep: how each algorithm scales with input size
+async function sweep(file, values) {
+  const fields = toFields(values, file);
+  if (file) {
+    fields.baseText = readInput(file);
+  }
+  
+  const parsed = parseSweep(fields);
+  if (parsed.error) {
+    throw new UsageError(parsed.error);
+  }
+  
+  const payload = await runSweep(parsed);
+  if (values.format === 'json') {
+    writeOutput(JSON.stringify(payload, null, 2) + '\n');
+    return EXIT_OK;
+  }
+  
+  const columns = ['algorithm', 'size', 'processed_length', 'median_ms', 'memory_bytes', 'skipped'];
+  const rows = [];
+  payload.results.forEach(result => {
+    result.series.forEach(point => {
+      rows.push([result.algorithm, point.size, point.processedLength, point.executionTime, point.memoryUsed, point.skipped]);
+    });
+  });
+  let output = formatRows(columns, rows, values.format);
+  
+  // Fitted exponents only fit the table; CSV stays one row per measurement
+  if (values.format === 'table') {
+    const fits = payload.results.map(result => [
+      result.algorithm,
+      result.timeFit ? `n^${result.timeFit.exponent} (R² ${result.timeFit.r2})` : 'n/a',
+      result.memoryFit ? `n^${result.memoryFit.exponent} (R² ${result.memoryFit.r2})` : 'n/a'
+    ]);
+    output += '\n' + formatRows(['algorithm', 'time_fit', 'memory_fit'], fits, 'table');
+  }
+  writeOutput(output);
+  return EXIT_OK;
+}
+
+// lps algorithms: the registry
+function list(values) {
+  const entries = listAlgorithms();
+  if (values.format === 'json') {
+    writeOutput(JSON.stringify(entries, null, 2) + '\n');
+    return EXIT_OK;
+  }
+  const rows = entries.map(a => [a.name, a.displayName, a.complexity.time, a.complexity.space, a.maxRecommendedLength, a.supportsSequence]);
+  writeOutput(formatRows(['name', 'display_name', 'time', 'space', 'max_recommended_length', 'sequence'], rows, values.format));
+  return EXIT_OK;
+}
+
+/**
+ * Runs the CLI
+ * 
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  
+  const { values, positionals } = parsed;
+  const [command, file, ...extra] = positionals;
+  if (values.help) {
+    writeOutput(USAGE + '\n');
+    return EXIT_OK;
+  }
+  if (!command) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+  if (extra.length > 0) {
+    console.error(`Unexpected argument(s): ${extra.join(' ')}`);
+    return EXIT_USAGE;
+  }
+  if (!FORMATS.includes(values.format)) {
+    console.error(`Unknown format "${values.format}". Expected one of: ${FORMATS.join(', ')}`);
+    return EXIT_USAGE;
+  }
+  
+  routeLogs(values.verbose);
+  
+  try {
+    switch (command) {
+      case 'find':
+        return find(file, values);
+      case 'bench':
+        return await bench(file, values);
+      case 'sweep':
+        return await sweep(file, values);
+      case 'algorithms':
+        return list(values);
+      default:
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+  } catch (e) {
+    console.error(e instanceof UsageError ? e.message : e);
+    return e instanceof UsageError ? EXIT_USAGE : EXIT_ERROR;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
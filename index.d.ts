@@ -0,0 +1,189 @@
+// Type declarations for the programmatic API in index.js
+
+/** How input text is matched */
+export type MatchMode = 'normalized' | 'raw' | 'sequence';
+
+/** Units the algorithms compare */
+export type Granularity = 'char' | 'word' | 'line';
+
+/** Which characters count, and how they compare, in 'normalized' mode */
+export interface Normalization {
+  /** 'ascii' (a-z, default) or 'unicode' (any \p{L} letter) */
+  letters?: 'ascii' | 'unicode';
+  /** Keep digits (default true) */
+  digits?: boolean;
+  /** Compare case exactly (default false) */
+  caseSensitive?: boolean;
+  /** Unicode normalization form applied to each symbol (default 'none') */
+  form?: 'none' | 'NFC' | 'NFD';
+  /** Drop combining marks after decomposing, so "é" matches "e" (default false) */
+  foldDiacritics?: boolean;
+  /** Compare grapheme clusters instead of code points (default false) */
+  graphemes?: boolean;
+}
+
+export interface FindOptions {
+  /** Registry name (default 'manacher'); see listAlgorithms */
+  algorithm?: string;
+  mode?: MatchMode;
+  normalization?: Normalization;
+  granularity?: Granularity;
+  /** Regular expression source for a word, used with word granularity */
+  wordPattern?: string;
+  /** Mismatched pairs the approximate algorithm allows (0-1000, default 0) */
+  mismatches?: number;
+  /** Longest middle spacer the approximate algorithm allows (0-100, default 0) */
+  gap?: number;
+}
+
+/** FASTA record a sequence-mode palindrome lies in, with 1-based inclusive base positions */
+export interface SequenceRecord {
+  id: string | null;
+  description: string;
+  start: number;
+  end: number;
+}
+
+/** Where an approximate palindrome differs from an exact one */
+export interface ApproximateDetails {
+  maxMismatches: number;
+  maxGap: number;
+  mismatches: Array<{ left: number; right: number; leftChar: string; rightChar: string }>;
+  gap: { start: number; end: number } | null;
+}
+
+export interface PalindromeResult {
+  algorithm: string;
+  /** The palindrome as it appears in the text ('' if there is none) */
+  substring: string;
+  /** Offset of the palindrome in the text, or null if there is none */
+  start: number | null;
+  /** Offset just past the palindrome (exclusive), or null if there is none */
+  end: number | null;
+  /** Length of substring in characters of the text */
+  length: number;
+  /** Characters (or words or lines) that were compared */
+  processedLength: number;
+  /** Sequence mode only */
+  record?: SequenceRecord | null;
+  /** Approximate algorithm only */
+  approximate?: ApproximateDetails;
+}
+
+export interface AlgorithmDescription {
+  name: string;
+  displayName: string;
+  complexity: { time: string; space: string };
+  maxRecommendedLength: number;
+  supportsSequence: boolean;
+}
+
+export interface TokenMapping extends Array<number> {
+  /** With word or line granularity: offset just past each token */
+  ends?: number[];
+}
+
+export interface PreprocessedString {
+  processedStr: string;
+  /** Offset in the original text where each processed character's symbol starts */
+  indexMapping: TokenMapping;
+  originalStr?: string;
+  /** Sequence mode only: the FASTA records, by their first index in processedStr */
+  records?: Array<{ id: string | null; description: string; start: number; length: number }>;
+}
+
+export interface Tokenization {
+  granularity: Granularity;
+  wordPattern?: string;
+}
+
+export type AlgorithmFunction = (
+  processedStr: string,
+  indexMapping: number[],
+  originalStr: string,
+  complement?: Record<string, string>,
+  approximation?: { mismatches: number; gap: number }
+) => { start: number; length: number } | null;
+
+export interface PreprocessedData extends PreprocessedString {
+  originalStr: string;
+  normalization?: Normalization;
+  mode?: MatchMode;
+  approximation?: { mismatches: number; gap: number };
+  tokenization?: Tokenization;
+}
+
+export interface MeasureOptions {
+  onEvent?: (event: { type: 'warmup' | 'iteration'; [key: string]: unknown }) => void;
+  iterations?: number;
+  warmups?: number;
+  approximate?: boolean;
+}
+
+export interface SummaryStats {
+  count: number;
+  min: number;
+  max: number;
+  median: number;
+  mean: number;
+  stddev: number;
+  p95: number;
+  /** 95% confidence interval for the mean (lower bound clamped at 0); null for one sample */
+  ci95: { lower: number; upper: number } | null;
+}
+
+export interface Measurement {
+  result: string;
+  /** Where result starts in processedStr, and its length there; null if none */
+  span?: { start: number; length: number } | null;
+  /** Average of the middle 60% of runs, in ms */
+  executionTime: number;
+  /** Average memory use, in KB */
+  memoryUsage: number;
+  memoryMeasurementIssue?: boolean;
+  /** Measured runs, as requested */
+  iterations?: number;
+  /** Runs left after trimming outliers, which executionTime averages */
+  trimmedCount?: number;
+  allTimes?: number[];
+  /** Memory of each measured run, in bytes */
+  allMemory?: number[];
+  timeStats?: SummaryStats;
+  memoryStats?: SummaryStats;
+  error?: string;
+}
+
+export const DEFAULT_ALGORITHM: string;
+export const DEFAULT_NORMALIZATION: Required<Normalization>;
+export const MATCH_MODES: MatchMode[];
+export const GRANULARITIES: Granularity[];
+
+/** Finds the longest palindrome in a text with one algorithm. Throws on invalid options. */
+export function findLongestPalindrome(text: string, options?: FindOptions): PalindromeResult;
+
+/** Lists the algorithms findLongestPalindrome accepts */
+export function listAlgorithms(): AlgorithmDescription[];
+
+/** Reads text the way the algorithms see it, with a mapping back to the original offsets */
+export function preprocessString(
+  s: string,
+  normalization?: Normalization,
+  mode?: MatchMode,
+  tokenization?: Tokenization
+): PreprocessedString;
+
+/** Whether text reads the same both ways after preprocessing */
+export function validatePalindrome(
+  str: string,
+  normalization?: Normalization,
+  mode?: MatchMode,
+  tokenization?: Tokenization
+): boolean;
+
+/** Times repeated runs of one algorithm in the calling thread */
+export function measurePerformance(
+  algorithmFn: AlgorithmFunction,
+  algorithmName: string,
+  preprocessedData: PreprocessedData,
+  options?: MeasureOptions
+): Measurement;
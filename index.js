@@ -0,0 +1,102 @@
+// Programmatic API: the LPS algorithms as a library, without the HTTP server.
+//
+//   const { findLongestPalindrome } = require('lps-node.js-project');
+//   findLongestPalindrome('Was it a car or a cat I saw?', { algorithm: 'eertree' });
+//
+// server.js is built on the same modules, so results match the /runAlgorithms route.
+const { algorithms, listAlgorithms, parseSelection } = require('./lib/registry');
+const { preprocessString, validatePalindrome, originalRange, spanText } = require('./lib/algorithms');
+const { measurePerformance } = require('./lib/benchmark');
+const { DEFAULT_NORMALIZATION, MATCH_MODES } = require('./lib/normalization');
+const { COMPLEMENT, locateInRecords } = require('./lib/sequence');
+const { GRANULARITIES } = require('./lib/tokens');
+const { locatePalindrome } = require('./lib/location');
+
+const DEFAULT_ALGORITHM = 'manacher';
+
+/**
+ * Finds the longest palindrome in a text with one algorithm, in the calling thread.
+ * 
+ * Options are validated like the fields of POST /runAlgorithms. The result always has
+ * the same shape: the palindrome as it appears in the text (spaces and punctuation
+ * included), the offsets of the span the algorithm matched (end exclusive, both null
+ * when there is none), its length in characters of the text, and processedLength, the
+ * number of characters (or words or lines) that were compared. Sequence mode adds the
+ * FASTA record, and the approximate algorithm adds where the palindrome differs from an
+ * exact one.
+ * 
+ * @param {string} text - Text to search
+ * @param {object} [options] - Search options
+ * @param {string} [options.algorithm] - Registry name (default 'manacher'); see listAlgorithms
+ * @param {string} [options.mode] - One of MATCH_MODES (default 'normalized')
+ * @param {object} [options.normalization] - Normalization options (see DEFAULT_NORMALIZATION)
+ * @param {string} [options.granularity] - One of GRANULARITIES (default 'char')
+ * @param {string} [options.wordPattern] - Regular expression for a word with word granularity
+ * @param {number} [options.mismatches] - Mismatched pairs the approximate algorithm allows
+ * @param {number} [options.gap] - Longest middle spacer the approximate algorithm allows
+ * @returns {object} - { algorithm, substring, start, end, length, processedLength, record?, approximate? }
+ * @throws {Error} - If an option is invalid, or the algorithm can't run on this input
+ */
+function findLongestPalindrome(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
+  
+  const { algorithm: name = DEFAULT_ALGORITHM, ...fields } = options;
+  const selection = parseSelection({ ...fields, algorithms: [name] });
+  if (selection.error) {
+    throw new Error(selection.error);
+  }
+  
+  const algorithm = algorithms.find(a => a.name === name);
+  const { normalization, mode, approximation, tokenization } = selection;
+  const { processedStr, indexMapping, records } = preprocessString(text, normalization, mode, tokenization);
+  
+  if (mode === 'sequence' && !algorithm.sequence) {
+    throw new Error(`Algorithm "${name}" does not support reverse-complement matching (sequence mode)`);
+  }
+  const skipReason = algorithm.guard ? algorithm.guard(processedStr) : null;
+  if (skipReason) {
+    throw new Error(`Algorithm "${name}" can't run on this input: ${skipReason}`);
+  }
+  
+  const complement = mode === 'sequence' ? COMPLEMENT : undefined;
+  const span = processedStr.length > 0
+    ? algorithm.fn(processedStr, indexMapping, text, complement, approximation)
+    : null;
+  const substring = spanText(span, indexMapping, text);
+  const range = substring ? originalRange(span.start, span.length, indexMapping, text) : null;
+  const located = locatePalindrome(range, text, 0);
+  
+  const result = {
+    algorithm: name,
+    substring,
+    start: located ? located.location.start : null,
+    end: located ? located.location.end : null,
+    length: substring.length,
+    processedLength: substring ? span.length : 0
+  };
+  if (records && located) {
+    result.record = locateInRecords(records, span.start, span.length);
+  }
+  if (algorithm.details && substring) {
+    result.approximate = {
+      maxMismatches: approximation.mismatches,
+      maxGap: approximation.gap,
+      ...algorithm.details(processedStr, indexMapping, text, complement, approximation)
+    };
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_ALGORITHM,
+  DEFAULT_NORMALIZATION,
+  MATCH_MODES,
+  GRANULARITIES,
+  findLongestPalindrome,
+  listAlgorithms,
+  preprocessString,
+  validatePalindrome,
+  measurePerformance
+};
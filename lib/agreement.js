@@ -0,0 +1,40 @@
+// Cross-checks the algorithms' results against each other. Every exact algorithm must
+// return a palindrome, and all of them the same (maximal) length; one that doesn't has
+// a bug, however fast it is.
+const { preprocessString, validatePalindrome } = require('./algorithms');
+
+/**
+ * Compares the palindromes the algorithms returned for one input.
+ * 
+ * Results that are not palindromes disagree. The longest valid result proves a
+ * palindrome of that length exists, so any shorter result isn't maximal and disagrees
+ * too. Lengths are compared in processed characters (or words or lines), since
+ * algorithms may pick different palindromes of the same length.
+ * 
+ * @param {Array<object>} results - { algorithm, result } for each algorithm that finished
+ * @param {object} selection - { normalization, mode, tokenization } the input was read with
+ * @returns {object} - { agreement, expectedLength, disagreements: [{ algorithm, length, reason }] }
+ */
+function checkAgreement(results, selection) {
+  const { normalization, mode, tokenization } = selection;
+  const checked = results.map(({ algorithm, result }) => ({
+    algorithm,
+    length: result ? preprocessString(result, normalization, mode, tokenization).processedStr.length : 0,
+    valid: !result || validatePalindrome(result, normalization, mode, tokenization)
+  }));
+  
+  const expectedLength = Math.max(0, ...checked.filter(c => c.valid).map(c => c.length));
+  const disagreements = checked
+    .filter(c => !c.valid || c.length < expectedLength)
+    .map(c => ({
+      algorithm: c.algorithm,
+      length: c.length,
+      reason: c.valid ? `Shorter than the longest palindrome found (${expectedLength})` : 'Not a palindrome'
+    }));
+  
+  return { agreement: disagreements.length === 0, expectedLength, disagreements };
+}
+
+module.exports = {
+  checkAgreement
+};
@@ -0,0 +1,1124 @@
+const { isDefaultNormalization, normalizeText, rawText, symbolEnd } = require('./normalization');
+const { sequenceText, isReverseComplementPalindrome } = require('./sequence');
+const { tokenizeText } = require('./tokens');
+
+/**
+ * Preprocesses a string for palindrome detection by:
+ * 1. Removing spaces
+ * 2. Converting to lowercase
+ * 3. Creating a mapping from processed string indices to original string indices
+ * 
+ * Non-default normalization options (Unicode letters, case sensitivity, diacritic
+ * folding, grapheme clusters) are handled by normalizeText; each processed character
+ * then stands for one whole symbol of the original text. In 'raw' mode nothing is
+ * removed or folded and the mapping is the identity. In 'sequence' mode the input is
+ * read as FASTA (see sequenceText) and the result also lists its records. With word or
+ * line granularity each processed character stands for a whole token (see tokenizeText).
+ * 
+ * @param {string} s - Original input string
+ * @param {object} [normalization] - Normalization options (see DEFAULT_NORMALIZATION)
+ * @param {string} [mode] - One of MATCH_MODES (default 'normalized'); 'raw' and 'sequence' ignore normalization
+ * @param {object} [tokenization] - { granularity, wordPattern } from parseTokenization (default char)
+ * @returns {object} - Object containing processed string and index mapping
+ */
+function preprocessString(s, normalization, mode = 'normalized', tokenization) {
+  if (!s || typeof s !== 'string') {
+    return { processedStr: '', indexMapping: [] };
+  }
+  
+  const originalStr = s;
+  
+  if (tokenization && tokenization.granularity !== 'char') {
+    return { ...tokenizeText(s, tokenization, normalization, mode), originalStr };
+  }
+  if (mode === 'raw') {
+    return { ...rawText(s), originalStr };
+  }
+  if (mode === 'sequence') {
+    return { ...sequenceText(s), originalStr };
+  }
+  
+  if (!isDefaultNormalization(normalization)) {
+    return { ...normalizeText(s, normalization), originalStr };
+  }
+  
+  // Only keep alphanumeric characters for palindrome detection
+  const processedStr = s.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+  
+  if (processedStr.length === 0) {
+    return { processedStr, indexMapping: [] };
+  }
+  
+  // Create mapping from processed string indices to original string indices
+  const indexMapping = [];
+  let processedIdx = 0;
+  
+  for (let i = 0; i < originalStr.length; i++) {
+    // Only map indices for alphanumeric characters
+    if (/[a-zA-Z0-9]/i.test(originalStr[i])) {
+      indexMapping[processedIdx] = i;
+      processedIdx++;
+    }
+  }
+  
+  return { processedStr, indexMapping, originalStr };
+}
+
+/**
+ * Finds the original-text range of a span of the processed string. The range ends
+ * with the whole symbol its last character stands for, but never reaches into the
+ * next processed character (in raw mode a combining mark is a character of its own).
+ * Token mappings carry their own end offsets, so a match ends with its last word or line.
+ * 
+ * @param {number} processedStart - Start index in the processed string
+ * @param {number} length - Length in the processed string
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @returns {object} - { start, end } offsets into the original string (end exclusive)
+ */
+function originalRange(processedStart, length, indexMapping, originalStr) {
+  const start = indexMapping[processedStart];
+  if (indexMapping.ends) {
+    return { start, end: indexMapping.ends[processedStart + length - 1] };
+  }
+  const next = indexMapping[processedStart + length];
+  const end = symbolEnd(originalStr, indexMapping[processedStart + length - 1]);
+  return { start, end: next === undefined ? end : Math.min(end, next) };
+}
+
+/**
+ * Maps a palindrome span returned by an algorithm back to the original text, keeping
+ * the spaces and punctuation between its characters
+ * 
+ * @param {object|null} span - { start, length } in the processed string, as the algorithms return
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @returns {string} - The palindrome as it appears in the original text ('' for none)
+ */
+function spanText(span, indexMapping, originalStr) {
+  if (!span || span.length === 0) return '';
+  const { start, end } = originalRange(span.start, span.length, indexMapping, originalStr);
+  return originalStr.substring(start, end);
+}
+
+/**
+ * Validates that a substring is a true palindrome (for debugging)
+ * 
+ * @param {string} str - Text to check
+ * @param {object} [normalization] - Normalization options the text was searched with
+ * @param {string} [mode] - Match mode the text was searched with ('raw' compares it exactly)
+ * @param {object} [tokenization] - Granularity the text was searched with
+ * @returns {boolean} - Whether the normalized text reads the same both ways
+ */
+function validatePalindrome(str, normalization, mode = 'normalized', tokenization) {
+  if (!str) return false;
+  
+  if (mode === 'sequence') {
+    const { processedStr } = sequenceText(str);
+    return processedStr.length > 0 && isReverseComplementPalindrome(processedStr);
+  }
+  
+  let processed;
+  if (tokenization && tokenization.granularity !== 'char') {
+    processed = tokenizeText(str, tokenization, normalization, mode).processedStr;
+  } else if (mode === 'raw') {
+    processed = rawText(str).processedStr;
+  } else if (isDefaultNormalization(normalization)) {
+    processed = str.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+  } else {
+    processed = normalizeText(str, normalization).processedStr;
+  }
+  if (processed.length <= 1) return true;
+  
+  for (let i = 0; i < Math.floor(processed.length / 2); i++) {
+    if (processed[i] !== processed[processed.length - 1 - i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// The string each position is compared against: the string itself for ordinary
+// palindromes, or its complement (characters without one never match) so that
+// processedStr[i] === mirrored[j] means the two characters pair up
+function mirrorString(processedStr, complement) {
+  if (!complement) return processedStr;
+  return Array.from(processedStr, char => complement[char] || '\0').join('');
+}
+
+/**
+ * Finds the longest palindromic substring using a naive approach (expand around center)
+ * Time Complexity: O(n²)
+ * Space Complexity: O(1)
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @returns {object|null} - { start, length } of the longest palindrome in the processed string, or null if empty
+ */
+function naiveLPS(processedStr, indexMapping, originalStr) {
+  const n = processedStr.length;
+  let maxLength = 0;
+  let maxStart = 0;
+  
+  // Check all possible centers
+  for (let i = 0; i < n; i++) {
+    // For odd length palindromes
+    let left = i, right = i;
+    while (left >= 0 && right < n && processedStr[left] === processedStr[right]) {
+      const currentLength = right - left + 1;
+      if (currentLength > maxLength) {
+        maxLength = currentLength;
+        maxStart = left;
+      }
+      left--;
+      right++;
+    }
+    
+    // For even length palindromes
+    left = i;
+    right = i + 1;
+    while (left >= 0 && right < n && processedStr[left] === processedStr[right]) {
+      const currentLength = right - left + 1;
+      if (currentLength > maxLength) {
+        maxLength = currentLength;
+        maxStart = left;
+      }
+      left--;
+      right++;
+    }
+  }
+  
+  // Special case: empty string or no palindrome found
+  if (maxLength === 0) {
+    if (n > 0) {
+      // If we have characters but found no palindromes, at least return the first character
+      maxLength = 1;
+      maxStart = 0;
+    } else {
+      return null;
+    }
+  }
+  
+  // Get the processed palindrome first to verify
+  const processedPalindrome = processedStr.substring(maxStart, maxStart + maxLength);
+  
+  // Double-check this is actually a palindrome
+  if (!validatePalindrome(processedPalindrome)) {
+    console.error(`INVALID PALINDROME DETECTED (Naive): ${processedPalindrome}`);
+    // Fall back to a single character if something went wrong
+    if (n > 0) {
+      return { start: 0, length: 1 };
+    }
+    return null;
+  }
+  
+  // Span in the processed string; callers map it back to the original text
+  return { start: maxStart, length: maxLength };
+}
+
+// Upper bounds for the approximate matcher's settings
+const MAX_MISMATCHES = 1000;
+const MAX_GAP = 100;
+
+/**
+ * Finds the longest approximate palindrome: a substring whose mirrored character pairs
+ * differ in at most `mismatches` places, optionally around a spacer of up to `gap`
+ * characters in the middle that isn't compared at all (like the loop of a hairpin).
+ * 
+ * Every center and spacer length is expanded outward, spending one mismatch per
+ * differing pair until the budget runs out. With no mismatches and no gap this is
+ * plain center expansion. Ties keep the earliest palindrome.
+ * 
+ * Time Complexity: O(n² · (gap + 1))
+ * Space Complexity: O(1) (O(n) for the complemented copy with a complement map)
+ * 
+ * @param {string} processedStr - Preprocessed input string
+ * @param {object} [settings] - Optional settings
+ * @param {number} [settings.mismatches] - Mismatched pairs allowed (default 0)
+ * @param {number} [settings.gap] - Longest uncompared spacer in the middle (default 0)
+ * @param {object} [settings.complement] - Character -> complement map for reverse-complement matching
+ * @returns {object|null} - { start, length, gapStart, gapLength, mismatches } in processed
+ *   indices, where mismatches lists each differing [left, right] pair; null for an empty string
+ */
+function findApproximatePalindrome(processedStr, { mismatches = 0, gap = 0, complement } = {}) {
+  const n = processedStr.length;
+  if (n === 0) return null;
+  const mirrored = mirrorString(processedStr, complement);
+  
+  let best = { start: 0, length: 0, spacerStart: 0, spacer: 0 };
+  
+  for (let spacerStart = 0; spacerStart < n; spacerStart++) {
+    // Spacer length 0 is an even center and 1 an odd center; longer ones are gaps
+    const longest = Math.min(Math.max(gap, 1), n - spacerStart);
+    for (let spacer = 0; spacer <= longest; spacer++) {
+      let budget = mismatches;
+      if (spacer === 1 && gap === 0 && processedStr[spacerStart] !== mirrored[spacerStart]) {
+        // Without a gap the middle character has to be its own mirror
+        if (budget === 0) continue;
+        budget--;
+      }
+      
+      let left = spacerStart - 1;
+      let right = spacerStart + spacer;
+      while (left >= 0 && right < n) {
+        if (processedStr[left] !== mirrored[right]) {
+          if (budget === 0) break;
+          budget--;
+        }
+        left--;
+        right++;
+      }
+      
+      // A gap needs at least one pair of arms around it
+      const length = right - left - 1;
+      if (spacer > 1 && length === spacer) continue;
+      if (length > best.length) {
+        best = { start: left + 1, length, spacerStart, spacer };
+      }
+    }
+  }
+  
+  // List the pairs that differ (and the middle character if it had to count as one)
+  const pairs = [];
+  const { start, length, spacerStart, spacer } = best;
+  for (let left = start, right = start + length - 1; left < spacerStart; left++, right--) {
+    if (processedStr[left] !== mirrored[right]) pairs.push([left, right]);
+  }
+  if (spacer === 1 && gap === 0 && processedStr[spacerStart] !== mirrored[spacerStart]) {
+    pairs.push([spacerStart, spacerStart]);
+  }
+  
+  const hasGap = gap > 0 && spacer > 0 && !(spacer === 1 && processedStr[spacerStart] === mirrored[spacerStart]);
+  return {
+    start,
+    length,
+    gapStart: hasGap ? spacerStart : null,
+    gapLength: hasGap ? spacer : 0,
+    mismatches: pairs
+  };
+}
+
+/**
+ * Finds the longest palindrome allowing up to k mismatched pairs and an optional gap
+ * in the middle (see findApproximatePalindrome). With k = 0 and no gap it returns the
+ * same palindrome as the exact algorithms.
+ * 
+ * Time Complexity: O(n² · (gap + 1))
+ * Space Complexity: O(1)
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @param {object} [complement] - Character -> complement map for reverse-complement matching
+ * @param {object} [approximation] - { mismatches, gap } allowed
+ * @returns {object|null} - { start, length } of the longest approximate palindrome in the processed string, or null
+ */
+function approximateLPS(processedStr, indexMapping, originalStr, complement, approximation = {}) {
+  const found = findApproximatePalindrome(processedStr, { ...approximation, complement });
+  if (!found || found.length === 0) return null;
+  return { start: found.start, length: found.length };
+}
+
+/**
+ * Describes where the approximate palindrome bends the rules, in original-text offsets
+ * 
+ * @param {string} processedStr - Preprocessed input string
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @param {object} [complement] - Character -> complement map for reverse-complement matching
+ * @param {object} [approximation] - { mismatches, gap } allowed
+ * @returns {object|null} - { mismatches: [{ left, right, leftChar, rightChar }], gap: { start, end } | null }
+ */
+function approximateDetails(processedStr, indexMapping, originalStr, complement, approximation = {}) {
+  const found = findApproximatePalindrome(processedStr, { ...approximation, complement });
+  if (!found || found.length === 0) return null;
+  
+  const charAt = index => {
+    const { start, end } = originalRange(index, 1, indexMapping, originalStr);
+    return originalStr.substring(start, end);
+  };
+  return {
+    mismatches: found.mismatches.map(([left, right]) => ({
+      left: indexMapping[left],
+      right: indexMapping[right],
+      leftChar: charAt(left),
+      rightChar: charAt(right)
+    })),
+    gap: found.gapLength > 0
+      ? originalRange(found.gapStart, found.gapLength, indexMapping, originalStr)
+      : null
+  };
+}
+
+// Longest input the brute-force algorithm will run on (processed characters)
+const BRUTE_FORCE_MAX_LENGTH = 1000;
+
+/**
+ * Keeps the cubic brute-force algorithm from tying up the server on large inputs.
+ * 
+ * @param {string} processedStr - Preprocessed input string
+ * @returns {string|null} - Reason for skipping the run, or null if it can run
+ */
+function bruteForceGuard(processedStr) {
+  return processedStr.length > BRUTE_FORCE_MAX_LENGTH ? 'input too large' : null;
+}
+
+/**
+ * Finds the longest palindromic substring by checking every possible substring
+ * Time Complexity: O(n³)
+ * Space Complexity: O(1)
+ * 
+ * This is the textbook baseline: enumerate all O(n²) (start, end) pairs and compare
+ * characters from both ends inward, the same way validatePalindrome does. Nothing is
+ * reused between substrings. Callers should check bruteForceGuard first.
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @returns {object|null} - { start, length } of the longest palindrome in the processed string, or null if empty
+ */
+function bruteForceLPS(processedStr, indexMapping, originalStr) {
+  const n = processedStr.length;
+  
+  // Base case
+  if (n === 0) return null;
+  
+  let maxLength = 1;
+  let maxStart = 0;
+  
+  // Check every substring processedStr[start..end]
+  for (let start = 0; start < n; start++) {
+    for (let end = start; end < n; end++) {
+      let left = start;
+      let right = end;
+      while (left < right && processedStr[left] === processedStr[right]) {
+        left++;
+        right--;
+      }
+      
+      const length = end - start + 1;
+      if (left >= right && length > maxLength) {
+        maxLength = length;
+        maxStart = start;
+      }
+    }
+  }
+  
+  // Get the processed palindrome first to verify
+  const processedPalindrome = processedStr.substring(maxStart, maxStart + maxLength);
+  
+  // Double-check this is actually a palindrome
+  if (!validatePalindrome(processedPalindrome)) {
+    console.error(`INVALID PALINDROME DETECTED (Brute Force): ${processedPalindrome}`);
+    // Fall back to a single character if something went wrong
+    return { start: 0, length: 1 };
+  }
+  
+  // Span in the processed string; callers map it back to the original text
+  return { start: maxStart, length: maxLength };
+}
+
+// Largest is-palindrome table the full DP algorithm may allocate (in bytes)
+const DP_TABLE_MEMORY_LIMIT = 64 * 1024 * 1024; // 64MB
+
+/**
+ * Checks whether the full DP table for this input fits within DP_TABLE_MEMORY_LIMIT.
+ * The table stores one bit per (start, end) pair, so it needs n² / 8 bytes.
+ * 
+ * @param {string} processedStr - Preprocessed input string
+ * @returns {string|null} - Reason for skipping the run, or null if it can run
+ */
+function dpTableGuard(processedStr) {
+  const n = processedStr.length;
+  const requiredBytes = Math.ceil((n * n) / 8);
+  
+  if (requiredBytes > DP_TABLE_MEMORY_LIMIT) {
+    const requiredMB = (requiredBytes / (1024 * 1024)).toFixed(1);
+    const limitMB = (DP_TABLE_MEMORY_LIMIT / (1024 * 1024)).toFixed(0);
+    return `DP table would need ${requiredMB} MB (limit ${limitMB} MB)`;
+  }
+  return null;
+}
+
+/**
+ * Finds the longest palindromic substring using bottom-up dynamic programming
+ * Time Complexity: O(n²)
+ * Space Complexity: O(n²) bits
+ * 
+ * Fills the classic is-palindrome table by substring length:
+ * - table[i][i] is true for every i
+ * - table[i][i+1] is true when both characters match
+ * - table[i][j] is true when the end characters match and table[i+1][j-1] is true
+ * 
+ * The table is bit-packed into a Uint32Array (one bit per cell) to cut memory by 8x
+ * compared to a byte table. Once two consecutive lengths contain no palindrome, no longer
+ * one can exist either (it would contain one of those lengths), so filling stops early.
+ * Callers should check dpTableGuard first since the table still grows quadratically.
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @returns {object|null} - { start, length } of the longest palindrome in the processed string, or null if empty
+ */
+function dpLPS(processedStr, indexMapping, originalStr) {
+  const n = processedStr.length;
+  
+  // Base case
+  if (n === 0) return null;
+  if (n === 1) return { start: 0, length: 1 };
+  
+  // One bit per (start, end) cell, row-major
+  const table = new Uint32Array(Math.ceil((n * n) / 32));
+  const setCell = (i, j) => {
+    const idx = i * n + j;
+    table[idx >>> 5] |= (1 << (idx & 31));
+  };
+  const getCell = (i, j) => {
+    const idx = i * n + j;
+    return (table[idx >>> 5] >>> (idx & 31)) & 1;
+  };
+  
+  let start = 0;
+  let maxLength = 1;
+  
+  // Length 1: every single character is a palindrome
+  for (let i = 0; i < n; i++) {
+    setCell(i, i);
+  }
+  
+  // Length 2 and up, each length built from the length two shorter
+  let foundPrevious = true; // Length 1 always has palindromes
+  for (let length = 2; length <= n; length++) {
+    let foundCurrent = false;
+    
+    for (let i = 0; i + length - 1 < n; i++) {
+      const j = i + length - 1;
+      if (processedStr[i] === processedStr[j] && (length === 2 || getCell(i + 1, j - 1))) {
+        setCell(i, j);
+        if (!foundCurrent) {
+          foundCurrent = true;
+          if (length > maxLength) {
+            maxLength = length;
+            start = i;
+          }
+        }
+      }
+    }
+    
+    // No palindromes of length L-1 or L means none of length L+1 or L+2 either
+    if (!foundCurrent && !foundPrevious) break;
+    foundPrevious = foundCurrent;
+  }
+  
+  // Get the processed palindrome first to verify
+  const processedPalindrome = processedStr.substring(start, start + maxLength);
+  
+  // Double-check this is actually a palindrome
+  if (!validatePalindrome(processedPalindrome)) {
+    console.error(`INVALID PALINDROME DETECTED (DP): ${processedPalindrome}`);
+    // Fall back to a single character if something went wrong
+    return { start: 0, length: 1 };
+  }
+  
+  // Span in the processed string; callers map it back to the original text
+  return { start: start, length: maxLength };
+}
+
+/**
+ * Finds the longest palindromic substring using space-optimized dynamic programming
+ * Time Complexity: O(n²)
+ * Space Complexity: O(n)
+ * 
+ * Same recurrence as dpLPS, but a table entry for length L only ever reads length L-2.
+ * Instead of the whole table we keep rolling rows indexed by start position:
+ * - twoBack[i]: is the substring of length L-2 starting at i a palindrome
+ * - oneBack[i]: same for length L-1 (becomes twoBack on the next length)
+ * - current[i]: row being filled for length L
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @returns {object|null} - { start, length } of the longest palindrome in the processed string, or null if empty
+ */
+function dpRollingLPS(processedStr, indexMapping, originalStr) {
+  const n = processedStr.length;
+  
+  // Base case
+  if (n === 0) return null;
+  if (n === 1) return { start: 0, length: 1 };
+  
+  let start = 0;
+  let maxLength = 1;
+  
+  // Length 0 (empty) and length 1 rows are all palindromes
+  let twoBack = new Uint8Array(n + 1).fill(1);
+  let oneBack = new Uint8Array(n + 1).fill(1);
+  let current = new Uint8Array(n + 1);
+  
+  let foundPrevious = true;
+  for (let length = 2; length <= n; length++) {
+    let foundCurrent = false;
+    
+    for (let i = 0; i + length - 1 < n; i++) {
+      const j = i + length - 1;
+      const isPalindrome = processedStr[i] === processedStr[j] && twoBack[i + 1] === 1;
+      current[i] = isPalindrome ? 1 : 0;
+      
+      if (isPalindrome && !foundCurrent) {
+        foundCurrent = true;
+        if (length > maxLength) {
+          maxLength = length;
+          start = i;
+        }
+      }
+    }
+    
+    // No palindromes of length L-1 or L means none of length L+1 or L+2 either
+    if (!foundCurrent && !foundPrevious) break;
+    foundPrevious = foundCurrent;
+    
+    // Rotate rows, reusing the oldest buffer for the next length
+    const recycled = twoBack;
+    twoBack = oneBack;
+    oneBack = current;
+    current = recycled;
+  }
+  
+  // Get the processed palindrome first to verify
+  const processedPalindrome = processedStr.substring(start, start + maxLength);
+  
+  // Double-check this is actually a palindrome
+  if (!validatePalindrome(processedPalindrome)) {
+    console.error(`INVALID PALINDROME DETECTED (DP Rolling): ${processedPalindrome}`);
+    // Fall back to a single character if something went wrong
+    return { start: 0, length: 1 };
+  }
+  
+  // Span in the processed string; callers map it back to the original text
+  return { start: start, length: maxLength };
+}
+
+/**
+ * Finds the longest palindromic substring by expanding around every center in two passes.
+ * This was previously presented as a memory-optimized Manacher's algorithm, but it keeps no
+ * radius array and never reuses a mirrored center, so it degrades to quadratic time on
+ * repetitive inputs such as "aaaa...a". It is kept as a separate variant for comparison.
+ * 
+ * Key characteristics:
+ * 1. Directly works with the preprocessed string (no string transformation with special characters)
+ * 2. Handles odd and even length palindromes in separate passes
+ * 3. Uses no extra memory beyond a few counters
+ * 
+ * With a complement map, it finds reverse-complement palindromes instead (see sequence.js):
+ * characters facing each other must be complements, and an odd-length palindrome's center
+ * must be its own complement.
+ * 
+ * Time Complexity: O(n²) worst case, close to linear on text with few long palindromes
+ * Space Complexity: O(1) (O(n) for the complemented copy with a complement map)
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @param {object} [complement] - Character -> complement map for reverse-complement matching
+ * @returns {object|null} - { start, length } of the longest palindrome in the processed string, or null if empty
+ */
+function expandAroundCenterLPS(processedStr, indexMapping, originalStr, complement) {
+  // Special cases
+  if (!processedStr || processedStr.length === 0) return null;
+  if (processedStr.length === 1 && !complement) {
+    return { start: 0, length: 1 };
+  }
+  
+  const n = processedStr.length;
+  const mirrored = mirrorString(processedStr, complement);
+  
+  // Track best palindrome found (with a complement map, a single character may not be one)
+  let maxLength = complement ? 0 : 1;
+  let maxStart = 0;
+  
+  // Handle odd length palindromes
+  for (let i = 0; i < n; i++) {
+    // Current position is center
+    if (processedStr[i] !== mirrored[i]) continue;
+    if (maxLength === 0) {
+      maxLength = 1;
+      maxStart = i;
+    }
+    let left = i - 1;
+    let right = i + 1;
+    
+    // Expand around center i
+    while (left >= 0 && right < n && processedStr[left] === mirrored[right]) {
+      const currentLength = right - left + 1;
+      if (currentLength > maxLength) {
+        maxLength = currentLength;
+        maxStart = left;
+      }
+      left--;
+      right++;
+    }
+  }
+  
+  // Handle even length palindromes
+  for (let i = 0; i < n - 1; i++) {
+    // Check if adjacent characters match (potential even length palindrome)
+    if (processedStr[i] === mirrored[i + 1]) {
+      let left = i;
+      let right = i + 1;
+      
+      // Expand around this center
+      while (left >= 0 && right < n && processedStr[left] === mirrored[right]) {
+        const currentLength = right - left + 1;
+        if (currentLength > maxLength) {
+          maxLength = currentLength;
+          maxStart = left;
+        }
+        left--;
+        right++;
+      }
+    }
+  }
+  
+  // Get the palindromic substring from processed string
+  const processedPalindrome = processedStr.substring(maxStart, maxStart + maxLength);
+  
+  if (maxLength === 0) return null;
+  
+  // Validate palindrome
+  const isValid = complement
+    ? isReverseComplementPalindrome(processedPalindrome)
+    : validatePalindrome(processedPalindrome);
+  if (!isValid) {
+    console.error(`INVALID PALINDROME DETECTED (Expand): ${processedPalindrome}`);
+    return { start: 0, length: 1 };
+  }
+  
+  // Span in the processed string; callers map it back to the original text
+  return { start: maxStart, length: maxLength };
+}
+
+/**
+ * Computes every palindrome radius with Manacher's algorithm.
+ * 
+ * The string is treated as if a separator were inserted before, between and after every
+ * character ("abba" -> "|a|b|b|a|"), so odd and even length palindromes are handled in a
+ * single pass. The transformed string is never built; even positions are separators and odd
+ * position k refers to processedStr[(k - 1) / 2].
+ * 
+ * Key steps:
+ * 1. radius[i] holds the palindrome radius centered at transformed position i, which equals
+ *    the length of that palindrome in the processed string
+ * 2. center/right track the palindrome reaching furthest to the right seen so far
+ * 3. Positions inside that palindrome start from their mirror's radius instead of zero,
+ *    so every character comparison either fails or moves the right boundary forward
+ * 
+ * Each radius describes the maximal palindrome around one center: it starts at processed
+ * index (i - radius[i]) / 2 and cannot be extended on both sides.
+ * 
+ * With a complement map, radii are those of reverse-complement palindromes. The mirror
+ * argument still holds because complementing is its own inverse: the reverse complement
+ * of a palindrome's left half is its right half. A character that isn't its own
+ * complement can't be a center, so its radius is 0.
+ * 
+ * Time Complexity: O(n)
+ * Space Complexity: O(n)
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {object} [complement] - Character -> complement map for reverse-complement matching
+ * @returns {Int32Array} - Radius for each of the 2n + 1 transformed positions
+ */
+function manacherRadii(processedStr, complement) {
+  const n = processedStr.length;
+  const mirrored = mirrorString(processedStr, complement);
+  const m = 2 * n + 1; // Length of the (virtual) transformed string
+  const radius = new Int32Array(m);
+  
+  // Rightmost palindrome found so far
+  let center = 0;
+  let right = 0;
+  
+  for (let i = 0; i < m; i++) {
+    // Reuse the mirrored radius when i lies inside the rightmost palindrome
+    if (i < right) {
+      radius[i] = Math.min(right - i, radius[2 * center - i]);
+    }
+    if (complement && i % 2 === 1 && processedStr[(i - 1) >> 1] !== mirrored[(i - 1) >> 1]) {
+      continue;
+    }
+    
+    // Expand past the known radius; left and right always share parity,
+    // so two separators (even) always match and characters (odd) are compared
+    let left = i - radius[i] - 1;
+    let rightPos = i + radius[i] + 1;
+    while (left >= 0 && rightPos < m &&
+           (left % 2 === 0 || processedStr[(left - 1) >> 1] === mirrored[(rightPos - 1) >> 1])) {
+      radius[i]++;
+      left--;
+      rightPos++;
+    }
+    
+    // Move the right boundary forward
+    if (i + radius[i] > right) {
+      center = i;
+      right = i + radius[i];
+    }
+  }
+  
+  return radius;
+}
+
+/**
+ * Finds the longest palindromic substring using Manacher's algorithm (see manacherRadii).
+ * 
+ * Time Complexity: O(n)
+ * Space Complexity: O(n)
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @param {object} [complement] - Character -> complement map for reverse-complement matching
+ * @returns {object|null} - { start, length } of the longest palindrome in the processed string, or null if empty
+ */
+function manacherLPS(processedStr, indexMapping, originalStr, complement) {
+  // Special cases
+  if (!processedStr || processedStr.length === 0) return null;
+  if (processedStr.length === 1 && !complement) {
+    return { start: 0, length: 1 };
+  }
+  
+  const radius = manacherRadii(processedStr, complement);
+  
+  // Track best palindrome found (with a complement map, a single character may not be one)
+  let maxLength = complement ? 0 : 1;
+  let maxStart = 0;
+  
+  for (let i = 0; i < radius.length; i++) {
+    if (radius[i] > maxLength) {
+      maxLength = radius[i];
+      maxStart = (i - radius[i]) >> 1;
+    }
+  }
+  
+  if (maxLength === 0) return null;
+  
+  // Get the palindromic substring from processed string
+  const processedPalindrome = processedStr.substring(maxStart, maxStart + maxLength);
+  
+  // Validate palindrome
+  const isValid = complement
+    ? isReverseComplementPalindrome(processedPalindrome)
+    : validatePalindrome(processedPalindrome);
+  if (!isValid) {
+    console.error(`INVALID PALINDROME DETECTED (Manacher): ${processedPalindrome}`);
+    return { start: 0, length: 1 };
+  }
+  
+  // Span in the processed string; callers map it back to the original text
+  return { start: maxStart, length: maxLength };
+}
+
+/**
+ * Builds the palindromic tree (eertree) of a string.
+ * 
+ * The eertree holds one node per distinct palindrome in the string, connected by:
+ * - edges: node X --c--> node cXc (the palindrome extended by c on both sides)
+ * - suffix links: node X -> longest proper palindromic suffix of X
+ * Two roots anchor the tree: an imaginary palindrome of length -1 (so that extending it
+ * yields single characters) and the empty palindrome of length 0.
+ * 
+ * Characters are appended one at a time while tracking the longest palindromic suffix
+ * of the prefix read so far; each new distinct palindrome appears as such a suffix.
+ * 
+ * Time Complexity: O(n) amortized (suffix link walks are bounded by the string length)
+ * Space Complexity: O(n) (at most n + 2 nodes)
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @returns {object} - { nodeCount, length, firstEnd, occurrences } with one entry per node;
+ *   nodes 0 and 1 are the roots, firstEnd is the processed index where the palindrome
+ *   first ends and occurrences counts every position it occurs at
+ */
+function buildEertree(processedStr) {
+  const n = processedStr.length;
+  
+  // Node 0: imaginary root (length -1), node 1: empty root (length 0)
+  const length = new Int32Array(n + 2);
+  const suffixLink = new Int32Array(n + 2);
+  const firstEnd = new Int32Array(n + 2);
+  const occurrences = new Int32Array(n + 2);
+  const edges = new Array(n + 2); // Lazily created Map of char -> node
+  length[0] = -1;
+  suffixLink[0] = 0;
+  length[1] = 0;
+  suffixLink[1] = 0;
+  let nodeCount = 2;
+  
+  // Follow suffix links until node X can be extended to cXc at position i
+  const findExtendable = (node, i) => {
+    const c = processedStr[i];
+    while (true) {
+      const mirror = i - 1 - length[node];
+      if (mirror >= 0 && processedStr[mirror] === c) return node;
+      node = suffixLink[node];
+    }
+  };
+  
+  let last = 1; // Longest palindromic suffix of the prefix read so far
+  
+  for (let i = 0; i < n; i++) {
+    const c = processedStr[i];
+    const parent = findExtendable(last, i);
+    
+    if (edges[parent] && edges[parent].has(c)) {
+      // cXc already exists in the tree
+      last = edges[parent].get(c);
+    } else {
+      const node = nodeCount++;
+      length[node] = length[parent] + 2;
+      firstEnd[node] = i;
+      
+      // Suffix link of cXc is cYc, where Y is the longest extendable suffix of X
+      if (length[node] === 1) {
+        suffixLink[node] = 1;
+      } else {
+        const linkParent = findExtendable(suffixLink[parent], i);
+        suffixLink[node] = edges[linkParent].get(c);
+      }
+      
+      if (!edges[parent]) edges[parent] = new Map();
+      edges[parent].set(c, node);
+      last = node;
+    }
+    occurrences[last]++;
+  }
+  
+  // A palindrome also occurs wherever a longer one has it as a suffix; nodes are created
+  // after their suffix links, so walking backwards passes each count on exactly once
+  for (let node = nodeCount - 1; node > 1; node--) {
+    occurrences[suffixLink[node]] += occurrences[node];
+  }
+  
+  return { nodeCount, length, firstEnd, occurrences };
+}
+
+/**
+ * Finds the longest palindromic substring using a palindromic tree (see buildEertree).
+ * Every distinct palindrome is a node, so the LPS is the longest node, taking the one
+ * that ends first when several share the maximum length.
+ * 
+ * Time Complexity: O(n) amortized
+ * Space Complexity: O(n)
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @returns {object|null} - { start, length } of the longest palindrome in the processed string, or null if empty
+ */
+function eertreeLPS(processedStr, indexMapping, originalStr) {
+  // Special cases
+  if (!processedStr || processedStr.length === 0) return null;
+  if (processedStr.length === 1) {
+    return { start: 0, length: 1 };
+  }
+  
+  const { nodeCount, length, firstEnd } = buildEertree(processedStr);
+  
+  // Track best palindrome found
+  let maxLength = 1;
+  let maxStart = 0;
+  
+  for (let node = 2; node < nodeCount; node++) {
+    const start = firstEnd[node] - length[node] + 1;
+    if (length[node] > maxLength || (length[node] === maxLength && start < maxStart)) {
+      maxLength = length[node];
+      maxStart = start;
+    }
+  }
+  
+  // Get the palindromic substring from processed string
+  const processedPalindrome = processedStr.substring(maxStart, maxStart + maxLength);
+  
+  // Validate palindrome
+  if (!validatePalindrome(processedPalindrome)) {
+    console.error(`INVALID PALINDROME DETECTED (Eertree): ${processedPalindrome}`);
+    return { start: 0, length: 1 };
+  }
+  
+  // Span in the processed string; callers map it back to the original text
+  return { start: maxStart, length: maxLength };
+}
+
+// Moduli for the double polynomial hash (both prime and below 2^31)
+const HASH_MOD_1 = 2147483647;
+const HASH_MOD_2 = 1000000007;
+
+/**
+ * Multiplies two residues modulo m without losing precision.
+ * a * b can exceed 2^53 for moduli near 2^31, so b is split into 16-bit halves.
+ */
+function mulMod(a, b, m) {
+  const high = (a * (b >>> 16)) % m;
+  return (high * 65536 + a * (b & 0xffff)) % m;
+}
+
+/**
+ * Reports the collision probability bound for rollingHashLPS on this input.
+ * 
+ * With a random base, two different strings of length L share a hash modulo a prime p
+ * with probability at most (L - 1) / p. Both moduli must collide at once, and the union
+ * bound over every window comparison made during the binary search gives the total.
+ * 
+ * @param {string} processedStr - Preprocessed input string
+ * @returns {object} - Hash parameters and the collision probability bound
+ */
+function rollingHashMetadata(processedStr) {
+  const n = processedStr.length;
+  const perComparison = (Math.max(n - 1, 0) / HASH_MOD_1) * (Math.max(n - 1, 0) / HASH_MOD_2);
+  // Two binary searches (odd and even lengths), each checking up to n windows per step
+  const searchSteps = 2 * Math.ceil(Math.log2(n / 2 + 2));
+  const comparisons = searchSteps * n;
+  
+  return {
+    moduli: [HASH_MOD_1, HASH_MOD_2],
+    comparisons,
+    collisionProbability: Math.min(1, comparisons * perComparison)
+  };
+}
+
+/**
+ * Finds the longest palindromic substring using polynomial rolling hashes and binary search
+ * Time Complexity: O(n log n)
+ * Space Complexity: O(n)
+ * 
+ * A window is a palindrome exactly when its forward hash equals the hash of the same window
+ * read backwards, which prefix hashes of the string and its reverse answer in O(1).
+ * Palindrome lengths are monotone within a parity (trimming one character from each end
+ * of a palindrome leaves a palindrome), so the longest odd and longest even lengths are
+ * each found by binary search over "does any window of length L match".
+ * 
+ * Matches are not re-verified character by character, so a hash collision could produce a
+ * wrong answer; rollingHashMetadata reports how unlikely that is.
+ * 
+ * @param {string} processedStr - Preprocessed input string (no spaces, lowercase)
+ * @param {Array} indexMapping - Mapping from processed indices to original indices
+ * @param {string} originalStr - Original unprocessed string
+ * @returns {object|null} - { start, length } of the longest palindrome in the processed string, or null if empty
+ */
+function rollingHashLPS(processedStr, indexMapping, originalStr) {
+  // Special cases
+  if (!processedStr || processedStr.length === 0) return null;
+  if (processedStr.length === 1) {
+    return { start: 0, length: 1 };
+  }
+  
+  const n = processedStr.length;
+  
+  // Random bases keep the collision bound independent of the input
+  const base1 = 256 + Math.floor(Math.random() * (HASH_MOD_1 - 512));
+  const base2 = 256 + Math.floor(Math.random() * (HASH_MOD_2 - 512));
+  
+  // Prefix hashes of the string (forward) and its reverse (backward), plus base powers
+  const pow1 = new Uint32Array(n + 1);
+  const pow2 = new Uint32Array(n + 1);
+  const forward1 = new Uint32Array(n + 1);
+  const forward2 = new Uint32Array(n + 1);
+  const backward1 = new Uint32Array(n + 1);
+  const backward2 = new Uint32Array(n + 1);
+  pow1[0] = 1;
+  pow2[0] = 1;
+  
+  for (let i = 0; i < n; i++) {
+    const fc = processedStr.charCodeAt(i) + 1;
+    const bc = processedStr.charCodeAt(n - 1 - i) + 1;
+    pow1[i + 1] = mulMod(pow1[i], base1, HASH_MOD_1);
+    pow2[i + 1] = mulMod(pow2[i], base2, HASH_MOD_2);
+    forward1[i + 1] = (mulMod(forward1[i], base1, HASH_MOD_1) + fc) % HASH_MOD_1;
+    forward2[i + 1] = (mulMod(forward2[i], base2, HASH_MOD_2) + fc) % HASH_MOD_2;
+    backward1[i + 1] = (mulMod(backward1[i], base1, HASH_MOD_1) + bc) % HASH_MOD_1;
+    backward2[i + 1] = (mulMod(backward2[i], base2, HASH_MOD_2) + bc) % HASH_MOD_2;
+  }
+  
+  // Hash of prefix[from, from + len) for one of the prefix arrays
+  const windowHash = (prefix, pow, mod, from, len) => {
+    const value = prefix[from + len] - mulMod(prefix[from], pow[len], mod);
+    return value < 0 ? value + mod : value;
+  };
+  
+  // Returns the start of the first palindrome of exactly this length, or -1
+  const findPalindromeOfLength = (len) => {
+    for (let start = 0; start + len <= n; start++) {
+      // processedStr[start, start + len) reversed starts at n - start - len in the reverse
+      const reverseStart = n - start - len;
+      if (windowHash(forward1, pow1, HASH_MOD_1, start, len) === windowHash(backward1, pow1, HASH_MOD_1, reverseStart, len) &&
+          windowHash(forward2, pow2, HASH_MOD_2, start, len) === windowHash(backward2, pow2, HASH_MOD_2, reverseStart, len)) {
+        return start;
+      }
+    }
+    return -1;
+  };
+  
+  // Binary search over half-lengths k for lengths 2k + parity
+  const searchParity = (parity) => {
+    let low = parity === 1 ? 0 : 1;
+    let high = Math.floor((n - parity) / 2);
+    let best = { length: 0, start: 0 };
+    
+    while (low <= high) {
+      const k = Math.floor((low + high) / 2);
+      const len = 2 * k + parity;
+      const start = findPalindromeOfLength(len);
+      if (start !== -1) {
+        best = { length: len, start };
+        low = k + 1;
+      } else {
+        high = k - 1;
+      }
+    }
+    return best;
+  };
+  
+  const odd = searchParity(1);
+  const even = searchParity(0);
+  const best = even.length > odd.length ? even : odd;
+  const maxLength = best.length;
+  const maxStart = best.start;
+  
+  // Get the palindromic substring from processed string
+  const processedPalindrome = processedStr.substring(maxStart, maxStart + maxLength);
+  
+  // Validate palindrome (only fails on a hash collision)
+  if (!validatePalindrome(processedPalindrome)) {
+    console.error(`INVALID PALINDROME DETECTED (Rolling Hash): ${processedPalindrome}`);
+    return { start: 0, length: 1 };
+  }
+  
+  // Span in the processed string; callers map it back to the original text
+  return { start: maxStart, length: maxLength };
+}
+
+module.exports = {
+  preprocessString,
+  originalRange,
+  spanText,
+  validatePalindrome,
+  naiveLPS,
+  findApproximatePalindrome,
+  approximateLPS,
+  approximateDetails,
+  MAX_MISMATCHES,
+  MAX_GAP,
+  bruteForceLPS,
+  bruteForceGuard,
+  dpLPS,
+  dpTableGuard,
+  dpRollingLPS,
+  expandAroundCenterLPS,
+  manacherRadii,
+  manacherLPS,
+  buildEertree,
+  eertreeLPS,
+  rollingHashLPS,
+  rollingHashMetadata,
+  BRUTE_FORCE_MAX_LENGTH,
+  DP_TABLE_MEMORY_LIMIT
+};
@@ -0,0 +1,337 @@
+// Palindrome analyses beyond contiguous substrings: the longest palindromic subsequence,
+// the fewest edits that make the input a palindrome, and the fewest cuts that split it
+// into palindromes. All of them run on the same processed string as the algorithms.
+const { preprocessString, originalRange, DP_TABLE_MEMORY_LIMIT } = require('./algorithms');
+const { MATCH_MODES, parseNormalization } = require('./normalization');
+const { parseTokenization } = require('./tokens');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Supported analyses:
+// - subsequence: the longest palindromic subsequence, with its positions
+// - edits: the fewest insertions (or deletions) that leave a palindrome
+// - partition: the fewest cuts that split the input into palindromes
+const ANALYSES = ['subsequence', 'edits', 'partition'];
+
+// Longest input the partition analysis will run on (processed characters). It only
+// needs linear memory, but takes quadratic time on inputs like "aaaa...".
+const PARTITION_MAX_LENGTH = 20000;
+
+// Worker script that runs runAnalyses for one request
+const ANALYSIS_WORKER_PATH = path.join(__dirname, 'analysisWorker.js');
+
+// Time allowed for one request's analyses before their worker is terminated (in milliseconds)
+const ANALYSIS_TIMEOUT_MS = 2 * 60 * 1000; // 2 minutes
+
+// What joins processed symbols back into text that isn't contiguous in the input
+const SYMBOL_SEPARATORS = { char: '', word: ' ', line: '\n' };
+
+/**
+ * Validates an analysis request
+ * 
+ * @param {object} [fields] - Request body fields
+ * @param {Array<string>|string} [fields.analyses] - ANALYSES to run, as an array or comma-separated string (default all)
+ * @param {object|string} [fields.normalization] - Normalization options, as an object or JSON text
+ * @param {string} [fields.mode] - 'normalized' (default) or 'raw'
+ * @param {string} [fields.granularity] - One of GRANULARITIES (default 'char')
+ * @param {string} [fields.wordPattern] - Regular expression for a word with word granularity
+ * @returns {object} - { analyses, normalization, mode, tokenization } on success or { error }
+ */
+function parseAnalysisQuery(fields = {}) {
+  let analyses = ANALYSES;
+  if (fields.analyses !== undefined && fields.analyses !== null && fields.analyses !== '') {
+    analyses = (Array.isArray(fields.analyses) ? fields.analyses : String(fields.analyses).split(','))
+      .map(name => String(name).trim())
+      .filter(name => name.length > 0);
+    
+    const unknown = analyses.filter(name => !ANALYSES.includes(name));
+    if (unknown.length > 0) {
+      return { error: `Unknown analysis(es): ${unknown.join(', ')}. Expected any of: ${ANALYSES.join(', ')}` };
+    }
+    if (analyses.length === 0) {
+      return { error: 'At least one analysis must be selected' };
+    }
+    analyses = [...new Set(analyses)];
+  }
+  
+  const { normalization, error } = parseNormalization(fields.normalization);
+  if (error) {
+    return { error };
+  }
+  
+  const mode = fields.mode || 'normalized';
+  if (!MATCH_MODES.includes(mode)) {
+    return { error: `Unknown mode "${mode}". Expected one of: ${MATCH_MODES.join(', ')}` };
+  }
+  // A lone base isn't its own reverse complement, so the recurrences below don't hold
+  if (mode === 'sequence') {
+    return { error: 'The analyses do not support sequence mode' };
+  }
+  
+  const { tokenization, error: tokenizationError } = parseTokenization(fields);
+  if (tokenizationError) {
+    return { error: tokenizationError };
+  }
+  
+  return { analyses, normalization, mode, tokenization };
+}
+
+/**
+ * Checks whether the subsequence table for this input fits within DP_TABLE_MEMORY_LIMIT.
+ * The table stores a 16-bit length per (start, end) pair, so it needs 2n² bytes.
+ * 
+ * @param {string} processedStr - Preprocessed input string
+ * @returns {string|null} - Reason for skipping the analysis, or null if it can run
+ */
+function subsequenceTableGuard(processedStr) {
+  const n = processedStr.length;
+  const requiredBytes = 2 * n * n;
+  
+  if (requiredBytes > DP_TABLE_MEMORY_LIMIT) {
+    const requiredMB = (requiredBytes / (1024 * 1024)).toFixed(1);
+    const limitMB = (DP_TABLE_MEMORY_LIMIT / (1024 * 1024)).toFixed(0);
+    return `DP table would need ${requiredMB} MB (limit ${limitMB} MB)`;
+  }
+  return null;
+}
+
+/**
+ * Finds the longest palindromic subsequence and the fewest insertions that make the
+ * whole string a palindrome, which come from the same table
+ * Time Complexity: O(n²)
+ * Space Complexity: O(n²)
+ * 
+ * table[i][j] is the length of the longest palindromic subsequence of
+ * processedStr[i..j]. Walking it from the outside in, matching ends are kept; otherwise
+ * the end that loses less is left out of the subsequence. Every character left out
+ * is one deletion, or one insertion of its mirror image on the other side, so both
+ * counts are n minus the subsequence length. Callers should check
+ * subsequenceTableGuard first.
+ * 
+ * @param {string} processedStr - Preprocessed input string
+ * @returns {object} - { kept, mirrored }: the processed indices of the subsequence, and
+ *   of the palindrome built by insertions (each unmatched index appears twice)
+ */
+function palindromicSubsequence(processedStr) {
+  const n = processedStr.length;
+  if (n === 0) return { kept: [], mirrored: [] };
+  
+  // Row-major n x n table; lengths fit in 16 bits because the guard keeps n small
+  const table = new Uint16Array(n * n);
+  for (let i = n - 1; i >= 0; i--) {
+    table[i * n + i] = 1;
+    for (let j = i + 1; j < n; j++) {
+      if (processedStr[i] === processedStr[j]) {
+        table[i * n + j] = (j === i + 1 ? 0 : table[(i + 1) * n + j - 1]) + 2;
+      } else {
+        table[i * n + j] = Math.max(table[(i + 1) * n + j], table[i * n + j - 1]);
+      }
+    }
+  }
+  
+  // Left and right halves, built from the outside in
+  const keptLeft = [];
+  const keptRight = [];
+  const mirroredLeft = [];
+  const mirroredRight = [];
+  let i = 0;
+  let j = n - 1;
+  while (i <= j) {
+    if (i === j) {
+      keptLeft.push(i);
+      mirroredLeft.push(i);
+      break;
+    }
+    if (processedStr[i] === processedStr[j]) {
+      keptLeft.push(i);
+      keptRight.push(j);
+      mirroredLeft.push(i);
+      mirroredRight.push(j);
+      i++;
+      j--;
+    } else if (table[(i + 1) * n + j] >= table[i * n + j - 1]) {
+      // processedStr[i] has no partner: mirror it at the right end
+      mirroredLeft.push(i);
+      mirroredRight.push(i);
+      i++;
+    } else {
+      mirroredLeft.push(j);
+      mirroredRight.push(j);
+      j--;
+    }
+  }
+  
+  return {
+    kept: keptLeft.concat(keptRight.reverse()),
+    mirrored: mirroredLeft.concat(mirroredRight.reverse())
+  };
+}
+
+/**
+ * Splits a string into the fewest palindromes
+ * Time Complexity: O(n²)
+ * Space Complexity: O(n)
+ * 
+ * Expands around every center like Expand Around Center. Each palindrome
+ * processedStr[l..r] it finds offers a split of the prefix ending at r: the best
+ * split of the prefix before l, plus this palindrome. Centers are visited left to
+ * right, so the prefix before l is final by the time a palindrome starting at l is
+ * found.
+ * 
+ * @param {string} processedStr - Preprocessed input string
+ * @returns {Array<Array<number>>} - [start, length] of each part, in order
+ */
+function palindromicPartition(processedStr) {
+  const n = processedStr.length;
+  // parts[k]: fewest palindromes covering the first k characters; from[k]: where the last one starts
+  const parts = new Int32Array(n + 1).fill(n + 1);
+  const from = new Int32Array(n + 1);
+  parts[0] = 0;
+  
+  for (let center = 0; center < 2 * n - 1; center++) {
+    let left = center >> 1;
+    let right = left + (center & 1);
+    while (left >= 0 && right < n && processedStr[left] === processedStr[right]) {
+      if (parts[left] + 1 < parts[right + 1]) {
+        parts[right + 1] = parts[left] + 1;
+        from[right + 1] = left;
+      }
+      left--;
+      right++;
+    }
+  }
+  
+  const result = [];
+  for (let end = n; end > 0; end = from[end]) {
+    result.push([from[end], end - from[end]]);
+  }
+  return result.reverse();
+}
+
+/**
+ * Runs the requested analyses on the input.
+ * 
+ * Positions are offsets into the original input, and texts are cut from it, so a
+ * subsequence keeps the case and accents of the characters it picked. Analyses whose
+ * guard rejects the input report { skipped } instead.
+ * 
+ * @param {string} inputText - Original input text
+ * @param {object} query - Validated query from parseAnalysisQuery
+ * @returns {object} - { mode, granularity, processedLength, subsequence?, edits?, partition? }
+ */
+function runAnalyses(inputText, query) {
+  const { analyses, normalization, mode, tokenization } = query;
+  const { processedStr, indexMapping } = preprocessString(inputText, normalization, mode, tokenization);
+  const separator = SYMBOL_SEPARATORS[tokenization.granularity];
+  const range = (start, length) => originalRange(start, length, indexMapping, inputText);
+  const symbol = index => {
+    const { start, end } = range(index, 1);
+    return inputText.substring(start, end);
+  };
+  
+  const payload = {
+    mode,
+    normalization: mode === 'normalized' ? normalization : undefined,
+    granularity: tokenization.granularity,
+    processedLength: processedStr.length
+  };
+  
+  if (analyses.includes('subsequence') || analyses.includes('edits')) {
+    const skipped = subsequenceTableGuard(processedStr);
+    const { kept, mirrored } = skipped ? {} : palindromicSubsequence(processedStr);
+    
+    if (analyses.includes('subsequence')) {
+      payload.subsequence = skipped ? { skipped } : {
+        length: kept.length,
+        text: kept.map(symbol).join(separator),
+        indices: kept.map(index => indexMapping[index])
+      };
+    }
+    if (analyses.includes('edits')) {
+      if (skipped) {
+        payload.edits = { skipped };
+      } else {
+        const keptSet = new Set(kept);
+        const removed = [];
+        for (let i = 0; i < processedStr.length; i++) {
+          if (!keptSet.has(i)) removed.push(indexMapping[i]);
+        }
+        payload.edits = {
+          insertions: mirrored.length - processedStr.length,
+          deletions: removed.length,
+          // One palindrome each way: with the insertions made, or with the deletions made
+          insertedPalindrome: mirrored.map(symbol).join(separator),
+          deletedIndices: removed
+        };
+      }
+    }
+  }
+  
+  if (analyses.includes('partition')) {
+    if (processedStr.length > PARTITION_MAX_LENGTH) {
+      payload.partition = { skipped: 'input too large' };
+    } else {
+      const parts = palindromicPartition(processedStr).map(([start, length]) => {
+        const { start: from, end } = range(start, length);
+        return { text: inputText.substring(from, end), length, start: from, end };
+      });
+      payload.partition = { cuts: Math.max(0, parts.length - 1), parts };
+    }
+  }
+  
+  return payload;
+}
+
+/**
+ * Runs runAnalyses in a worker thread, so the request thread stays free and a run
+ * that takes too long can be stopped
+ * 
+ * @param {string} inputText - Original input text
+ * @param {object} query - Validated query from parseAnalysisQuery
+ * @param {object} [options] - Optional settings
+ * @param {number} [options.timeout] - Milliseconds allowed before the worker is terminated
+ * @returns {Promise<object>} - Resolves to the payload of runAnalyses; rejects with its error (keeping any status) or on timeout
+ */
+function runAnalysesIsolated(inputText, query, options = {}) {
+  const timeoutMs = options.timeout || ANALYSIS_TIMEOUT_MS;
+  
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(ANALYSIS_WORKER_PATH, { workerData: { inputText, query } });
+    
+    let settled = false;
+    const finish = (error, payload) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      if (error) reject(error);
+      else resolve(payload);
+    };
+    
+    const timeoutId = setTimeout(() => {
+      worker.terminate();
+      finish(new Error(`Analyses timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+    
+    worker.on('message', message => {
+      if (message.type === 'result') {
+        finish(null, message.result);
+      } else if (message.type === 'error') {
+        const error = new Error(message.message);
+        if (message.status) error.status = message.status;
+        finish(error);
+      }
+    });
+    worker.once('error', error => finish(error));
+    worker.once('exit', code => finish(new Error(`Analysis worker exited with code ${code}`)));
+  });
+}
+
+module.exports = {
+  ANALYSES,
+  PARTITION_MAX_LENGTH,
+  parseAnalysisQuery,
+  palindromicSubsequence,
+  palindromicPartition,
+  runAnalyses,
+  runAnalysesIsolated
+};
@@ -0,0 +1,14 @@
+// Worker thread entry point: runs the analyses of one request off the server's main
+// thread, so the quadratic DP and partition work can't hold up other requests
+const { parentPort, workerData } = require('worker_threads');
+const { runAnalyses } = require('./analyses');
+
+const { inputText, query } = workerData;
+
+// Errors are posted rather than thrown so their HTTP status (e.g. a TokenizationError's
+// 400) reaches the parent
+try {
+  parentPort.postMessage({ type: 'result', result: runAnalyses(inputText, query) });
+} catch (error) {
+  parentPort.postMessage({ type: 'error', message: error.message, status: error.status });
+}
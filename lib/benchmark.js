@@ -0,0 +1,224 @@
+const { preprocessString, validatePalindrome, spanText } = require('./algorithms');
+const { COMPLEMENT } = require('./sequence');
+const { summarize } = require('./statistics');
+
+// Warmup runs before measuring, unless the caller asks for a different number
+const DEFAULT_WARMUPS = 2;
+
+/**
+ * Measures the performance of an algorithm over several iterations.
+ * 
+ * This runs synchronously, so it cannot interrupt itself: timeouts are enforced by
+ * running it inside a worker thread (see measureWorker.js) that the caller terminates.
+ * 
+ * @param {Function} algorithmFn - Algorithm called as fn(processedStr, indexMapping, originalStr, complement, approximation),
+ *   returning the { start, length } span of its palindrome in processedStr
+ * @param {string} algorithmName - Name used in logs and events
+ * @param {object} preprocessedData - { processedStr, indexMapping, originalStr, normalization, mode, approximation, tokenization }
+ * @param {object} [options] - Optional settings
+ * @param {Function} [options.onEvent] - Called with { type: 'warmup' | 'iteration', ... } as runs finish
+ * @param {number} [options.iterations] - Measured runs (defaults to a count based on input size)
+ * @param {number} [options.warmups] - Unmeasured runs before measuring (defaults to DEFAULT_WARMUPS)
+ * @param {boolean} [options.approximate] - The algorithm allows mismatches, so its result isn't validated as exact
+ * @returns {object} - Result text and processed span, averaged time (ms) and memory (KB), per-run details and statistics
+ */
+function measurePerformance(algorithmFn, algorithmName, preprocessedData, options = {}) {
+  const onEvent = options.onEvent || (() => {});
+  
+  try {
+    const { processedStr, indexMapping, originalStr, normalization, mode, approximation, tokenization } = preprocessedData;
+    // Sequence mode matches bases against their complements
+    const complement = mode === 'sequence' ? COMPLEMENT : undefined;
+    
+    // Check for valid input
+    if (!processedStr || processedStr.length === 0) {
+      return {
+        result: '',
+        executionTime: 0,
+        memoryUsage: 0
+      };
+    }
+    
+    // Try to stabilize memory before measurement
+    try {
+      // Run garbage collection multiple times if available
+      if (global.gc) {
+        for (let i = 0; i < 3; i++) {
+          global.gc();
+        }
+      }
+    } catch (e) {
+      console.log("GC not available");
+    }
+    
+    // Determine number of iterations based on input size
+    // More iterations for smaller inputs to get more reliable measurements
+    let iterations = 1;
+    if (options.iterations) {
+      iterations = options.iterations;
+    } else if (processedStr.length < 1000) {
+      // For very small inputs, run multiple times to get more stable results
+      iterations = 7;
+    } else if (processedStr.length < 5000) {
+      iterations = 5;
+    } else if (processedStr.length < 20000) {
+      iterations = 3;
+    }
+    
+    // Store first result, as text and as the processed span the algorithm matched
+    let firstResult = null;
+    let firstSpan = null;
+    
+    // Run algorithm multiple times for more reliable timing
+    let executionTimes = [];
+    let memoryUsages = [];
+    
+    // First, run a few warmup iterations to let JIT optimize
+    // These don't count in measurements
+    const warmups = options.warmups !== undefined ? options.warmups : DEFAULT_WARMUPS;
+    console.log(`Warming up ${algorithmName}...`);
+    for (let i = 0; i < warmups; i++) {
+      algorithmFn(processedStr, indexMapping, originalStr, complement, approximation);
+      onEvent({ type: 'warmup', algorithm: algorithmName, warmup: i + 1, totalWarmups: warmups, iterations });
+      
+      // Small delay to let system stabilize
+      for (let j = 0; j < 10000000; j++) { /* empty spin loop */ }
+    }
+    
+    // Now do the actual measurements
+    console.log(`Starting measurements for ${algorithmName} (${iterations} iterations)...`);
+    
+    for (let i = 0; i < iterations; i++) {
+      // Force garbage collection if available before each measurement
+      try {
+        if (global.gc) {
+          for (let j = 0; j < 3; j++) {
+            global.gc();
+          }
+        }
+      } catch (e) {
+        // GC not available, ignore
+      }
+      
+      // Do a busy wait to make sure garbage collection has time to run
+      for (let j = 0; j < 5000000; j++) { /* empty spin loop */ }
+      
+      // Measure baseline memory before each run
+      const baselineMemory = process.memoryUsage().heapUsed;
+      
+      // Execute algorithm and measure time
+      const startTime = performance.now();
+      const span = algorithmFn(processedStr, indexMapping, originalStr, complement, approximation);
+      const endTime = performance.now();
+      
+      // Store the first result only (all should be identical)
+      if (i === 0) {
+        const result = spanText(span, indexMapping, originalStr);
+        firstResult = result;
+        firstSpan = span || null;
+        
+        // Validate the result is actually a palindrome, read the same way as the input
+        const processedResult = result ? preprocessString(result, normalization, mode, tokenization).processedStr : '';
+        if (processedResult.length > 1 && !options.approximate) {
+          const isValid = validatePalindrome(result, normalization, mode, tokenization);
+          if (!isValid) {
+            console.error(`INVALID RESULT FROM ${algorithmName}: "${result}" (processed: "${processedResult}")`);
+          } else {
+            console.log(`Valid palindrome from ${algorithmName}: "${result}" (length: ${result.length})`);
+          }
+        }
+      }
+      
+      // Calculate and store this iteration's results
+      executionTimes.push(endTime - startTime);
+      
+      // Measure memory after run
+      const finalMemory = process.memoryUsage().heapUsed;
+      const memoryUsage = Math.max(0, (finalMemory - baselineMemory) / 1024); // KB
+      memoryUsages.push(memoryUsage);
+      
+      console.log(`${algorithmName} iteration ${i+1}/${iterations}: ${(endTime - startTime).toFixed(2)}ms, ${memoryUsage.toFixed(2)}KB`);
+      onEvent({
+        type: 'iteration',
+        algorithm: algorithmName,
+        iteration: i + 1,
+        iterations,
+        totalWarmups: warmups,
+        executionTime: parseFloat((endTime - startTime).toFixed(3)),
+        memoryUsage: parseFloat(memoryUsage.toFixed(2))
+      });
+      
+      // Force a delay between measurements
+      for (let j = 0; j < 10000000; j++) { /* empty spin loop */ }
+    }
+    
+    // Statistics use every run in order, before outliers are trimmed for the average
+    const rawTimes = executionTimes.map(time => parseFloat(time.toFixed(4)));
+    const rawMemory = memoryUsages.map(kb => parseFloat((kb * 1024).toFixed(2))); // bytes
+    const timeStats = summarize(executionTimes);
+    const memoryStats = summarize(memoryUsages.map(kb => kb * 1024)); // bytes, like memoryUsed
+    
+    // Sort the timing results and remove outliers (keep middle 60%)
+    executionTimes.sort((a, b) => a - b);
+    memoryUsages.sort((a, b) => a - b);
+    
+    // Remove outliers if we have enough measurements
+    if (executionTimes.length >= 5) {
+      const cutoff = Math.floor(executionTimes.length * 0.2);
+      executionTimes = executionTimes.slice(cutoff, executionTimes.length - cutoff);
+      memoryUsages = memoryUsages.slice(cutoff, memoryUsages.length - cutoff);
+    }
+    
+    // Calculate average execution time and memory usage
+    const avgExecutionTime = executionTimes.reduce((sum, time) => sum + time, 0) / executionTimes.length;
+    const avgMemoryUsage = memoryUsages.reduce((sum, mem) => sum + mem, 0) / memoryUsages.length;
+    
+    // Check for invalid memory measurements
+    let memoryMeasurementIssue = avgMemoryUsage <= 0;
+    
+    console.log(`${algorithmName} complete: ${avgExecutionTime.toFixed(2)}ms (avg of ${executionTimes.length} middle runs), memory: ${avgMemoryUsage.toFixed(2)}KB`);
+    
+    return {
+      result: firstResult,
+      span: firstSpan,
+      executionTime: parseFloat(avgExecutionTime.toFixed(2)),
+      memoryUsage: parseFloat(avgMemoryUsage.toFixed(2)),
+      memoryMeasurementIssue,
+      iterations, // Measured runs, as requested
+      trimmedCount: executionTimes.length, // Runs averaged into executionTime after removing outliers
+      allTimes: rawTimes, // Include all measurements for transparency
+      allMemory: rawMemory,
+      timeStats,
+      memoryStats
+    };
+  } catch (error) {
+    console.error("Performance measurement error:", error);
+    return {
+      result: 'Error: ' + error.message,
+      executionTime: 0,
+      memoryUsage: 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Describes the environment measurements are taken in, for saved runs and reports.
+ * Worker threads inherit the process's flags, so --expose-gc applies to them too.
+ * 
+ * @returns {object} - { nodeVersion, exposeGc, platform, arch, vercel }
+ */
+function describeEnvironment() {
+  return {
+    nodeVersion: process.version,
+    exposeGc: typeof global.gc === 'function',
+    platform: process.platform,
+    arch: process.arch,
+    vercel: Boolean(process.env.VERCEL)
+  };
+}
+
+module.exports = {
+  measurePerformance,
+  describeEnvironment
+};
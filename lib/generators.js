@@ -0,0 +1,213 @@
+// Synthetic inputs for sample buttons and scaling sweeps. Every generator is driven by
+// a seeded pseudo-random source, so the same type, length, seed and options always
+// produce the same text. Output is lowercase letters and digits only, so preprocessing
+// doesn't shrink it.
+
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_GENERATED_LENGTH = 500000; // Same cap as uploaded files
+const DEFAULT_ALPHABET_SIZE = 26;
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * 
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - Returns a float in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Picks the letters a pattern uses: the seed shuffles the first count characters of
+// the alphabet, so patterns without any randomness of their own still vary with the seed
+function seededLetters(random, count) {
+  const letters = ALPHABET.substring(0, count).split('');
+  for (let i = letters.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [letters[i], letters[j]] = [letters[j], letters[i]];
+  }
+  return letters;
+}
+
+// Random characters from the first alphabetSize letters of ALPHABET
+function randomText(random, length, alphabetSize) {
+  const chars = new Array(length);
+  for (let i = 0; i < length; i++) {
+    chars[i] = ALPHABET[Math.floor(random() * alphabetSize)];
+  }
+  return chars;
+}
+
+/**
+ * Every generator. Each entry declares:
+ * - description: shown in the UI
+ * - options (optional): the generator options generate reads, so the UI can offer them
+ * - generate(length, random, options): returns an array of characters
+ */
+const GENERATORS = {
+  'same-char': {
+    description: 'One repeated character: every substring is a palindrome (worst case for the O(n²) algorithms)',
+    generate: (length, random) => new Array(length).fill(seededLetters(random, DEFAULT_ALPHABET_SIZE)[0])
+  },
+  
+  'alternating': {
+    description: 'Two alternating characters ("abab..."): odd palindromes around every center',
+    generate: (length, random) => {
+      const [a, b] = seededLetters(random, DEFAULT_ALPHABET_SIZE);
+      return Array.from({ length }, (_, i) => (i % 2 === 0 ? a : b));
+    }
+  },
+  
+  'nested': {
+    description: 'Palindromes nested inside palindromes ("abacabadabacaba...")',
+    generate: (length, random) => {
+      // Character i is the letter for the number of trailing zero bits of i + 1,
+      // which builds each level as previous + new letter + previous
+      const letters = seededLetters(random, DEFAULT_ALPHABET_SIZE);
+      return Array.from({ length }, (_, i) => {
+        const level = 31 - Math.clz32((i + 1) & -(i + 1));
+        return letters[level % letters.length];
+      });
+    }
+  },
+  
+  'random': {
+    description: 'Random characters from an alphabet of size k (option "alphabet", 1-36)',
+    options: ['alphabet'],
+    generate: (length, random, options) => randomText(random, length, options.alphabet)
+  },
+  
+  'fibonacci': {
+    description: 'Fibonacci word ("abaababaabaab..."): highly repetitive with many palindromes',
+    generate: (length, random) => {
+      const [a, b] = seededLetters(random, DEFAULT_ALPHABET_SIZE);
+      // S(1) = a, S(2) = ab, S(n) = S(n-1) + S(n-2); each is a prefix of the next
+      let previous = [a];
+      let current = [a, b];
+      while (current.length < length) {
+        [previous, current] = [current, current.concat(previous)];
+      }
+      return current.slice(0, length);
+    }
+  },
+  
+  'embedded': {
+    description: 'Random text with one long palindrome at a chosen offset (options "offset" and "palindromeLength")',
+    options: ['alphabet', 'offset', 'palindromeLength'],
+    generate: (length, random, options) => {
+      const chars = randomText(random, length, options.alphabet);
+      const palindromeLength = Math.min(options.palindromeLength ?? Math.floor(length / 4), length);
+      const offset = Math.min(options.offset ?? Math.floor((length - palindromeLength) / 2), length - palindromeLength);
+      
+      for (let i = 0; i < Math.ceil(palindromeLength / 2); i++) {
+        const char = ALPHABET[Math.floor(random() * options.alphabet)];
+        chars[offset + i] = char;
+        chars[offset + palindromeLength - 1 - i] = char;
+      }
+      
+      // Make sure the surrounding characters don't extend the palindrome
+      const before = offset - 1;
+      const after = offset + palindromeLength;
+      if (before >= 0 && after < length && chars[before] === chars[after] && options.alphabet > 1) {
+        const index = ALPHABET.indexOf(chars[after]);
+        chars[after] = ALPHABET[(index + 1) % options.alphabet];
+      }
+      return chars;
+    }
+  }
+};
+
+/**
+ * Lists the generators for the GET /generators endpoint
+ * 
+ * @returns {Array} - { type, description, options } for each generator
+ */
+function listGenerators() {
+  return Object.entries(GENERATORS).map(([type, { description, options = [] }]) => ({ type, description, options }));
+}
+
+// Parses an optional whole-number option; undefined when absent, NaN when invalid
+function parseInteger(value, min, max) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+}
+
+/**
+ * Validates generator settings from a query string or request body. A random seed
+ * is chosen when none is given, and returned so the input can be reproduced.
+ * 
+ * @param {object} fields - { type, length, seed, alphabet, offset, palindromeLength }
+ * @param {object} [defaults] - Values used for missing fields (e.g. { type: 'same-char' })
+ * @returns {object} - { type, length, seed, options } on success or { error }
+ */
+function parseGeneratorOptions(fields = {}, defaults = {}) {
+  const type = fields.type || defaults.type;
+  if (!GENERATORS[type]) {
+    return { error: `Unknown generator "${type}". Expected one of: ${Object.keys(GENERATORS).join(', ')}` };
+  }
+  
+  const length = parseInteger(fields.length ?? defaults.length, 1, MAX_GENERATED_LENGTH);
+  if (length === undefined || Number.isNaN(length)) {
+    return { error: `Length must be a whole number between 1 and ${MAX_GENERATED_LENGTH}` };
+  }
+  
+  let seed = parseInteger(fields.seed, 0, 0xFFFFFFFF);
+  if (Number.isNaN(seed)) {
+    return { error: 'Seed must be a whole number between 0 and 4294967295' };
+  }
+  if (seed === undefined) {
+    seed = Math.floor(Math.random() * 0x100000000);
+  }
+  
+  const options = {};
+  const alphabet = parseInteger(fields.alphabet, 1, ALPHABET.length);
+  if (Number.isNaN(alphabet)) {
+    return { error: `Alphabet size must be a whole number between 1 and ${ALPHABET.length}` };
+  }
+  options.alphabet = alphabet ?? DEFAULT_ALPHABET_SIZE;
+  
+  const palindromeLength = parseInteger(fields.palindromeLength, 1, MAX_GENERATED_LENGTH);
+  const offset = parseInteger(fields.offset, 0, MAX_GENERATED_LENGTH);
+  if (Number.isNaN(palindromeLength) || Number.isNaN(offset)) {
+    return { error: 'Offset and palindrome length must be whole numbers within the generated length' };
+  }
+  if (palindromeLength !== undefined) options.palindromeLength = palindromeLength;
+  if (offset !== undefined) options.offset = offset;
+  
+  return { type, length, seed, options };
+}
+
+/**
+ * Generates a synthetic input string
+ * 
+ * @param {string} type - One of the GENERATORS keys
+ * @param {number} length - Number of characters to generate
+ * @param {object} [settings] - Optional settings
+ * @param {number} [settings.seed] - Seed for the pseudo-random source (default 0)
+ * @param {object} [settings.options] - Generator options ({ alphabet, offset, palindromeLength })
+ * @returns {string} - Generated text
+ */
+function generateInput(type, length, { seed = 0, options = {} } = {}) {
+  const generator = GENERATORS[type];
+  if (!generator) {
+    throw new Error(`Unknown generator: ${type}`);
+  }
+  const random = createRandom(seed);
+  return generator.generate(length, random, { alphabet: DEFAULT_ALPHABET_SIZE, ...options }).join('');
+}
+
+module.exports = {
+  GENERATORS,
+  MAX_GENERATED_LENGTH,
+  createRandom,
+  listGenerators,
+  parseGeneratorOptions,
+  generateInput
+};
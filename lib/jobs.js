@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getExecutionOrder, runBenchmark } = require('./registry');
+const { saveRun } = require('./runs');
+
+// How long finished jobs stay available for polling (in milliseconds)
+const JOB_RETENTION_MS = 10 * 60 * 1000; // 10 minutes
+
+// Most progress events kept per job for late subscribers to replay
+const MAX_JOB_EVENTS = 1000;
+
+// All known jobs by ID, and what is waiting to run (oldest first): { jobId } for a job,
+// { task, resolve, reject } for a synchronous route's measurement
+const jobs = new Map();
+const queue = [];
+let running = false;
+
+/**
+ * Queues a benchmark run and returns immediately. Jobs run one at a time so their
+ * measurements don't compete for the CPU.
+ * 
+ * @param {string} inputText - Original input text
+ * @param {object} selection - Validated selection from parseSelection
+ * @returns {object} - The new job
+ */
+function createJob(inputText, selection) {
+  const id = crypto.randomUUID();
+  const executionOrder = getExecutionOrder(selection.names, selection.order);
+  
+  const job = {
+    id,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    inputLength: inputText.length,
+    // Fix the execution order now so progress can list every algorithm up front
+    selection: {
+      names: executionOrder.map(a => a.name),
+      order: 'fixed',
+      timeout: selection.timeout,
+      iterations: selection.iterations,
+      warmups: selection.warmups,
+      contextChars: selection.contextChars,
+      normalization: selection.normalization,
+      mode: selection.mode,
+      approximation: selection.approximation,
+      tokenization: selection.tokenization,
+      requestedOrder: selection.order
+    },
+    progress: {
+      total: executionOrder.length,
+      completed: 0,
+      current: null,
+      algorithms: executionOrder.map(a => ({ name: a.name, status: 'pending' }))
+    },
+    inputText,
+    cancelRequested: false,
+    // Worker measuring the current algorithm, terminated on cancel
+    worker: null,
+    result: null,
+    error: null,
+    // Progress events for the SSE stream, with a replay log for late subscribers
+    emitter: new EventEmitter(),
+    events: []
+  };
+  
+  jobs.set(id, job);
+  queue.push({ jobId: id });
+  processQueue();
+  
+  return job;
+}
+
+/**
+ * Looks up a job by ID
+ * 
+ * @param {string} id - Job ID
+ * @returns {object|undefined} - The job, if it exists
+ */
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Cancels a job straight away. A running job's current worker is terminated; the
+ * results of algorithms that already finished are attached once the run unwinds.
+ * 
+ * @param {string} id - Job ID
+ * @returns {object|undefined} - The job, if it exists
+ */
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return undefined;
+  
+  if (job.status === 'queued') {
+    const index = queue.findIndex(entry => entry.jobId === id);
+    if (index !== -1) queue.splice(index, 1);
+    finishJob(job, 'cancelled');
+  } else if (job.status === 'running') {
+    job.cancelRequested = true;
+    if (job.worker) job.worker.terminate();
+    finishJob(job, 'cancelled');
+  }
+  
+  return job;
+}
+
+/**
+ * Streams a job's progress events. Events that already happened are replayed first,
+ * so subscribing late still shows the whole run.
+ * 
+ * @param {object} job - Job object
+ * @param {Function} listener - Called with each event; the last one has type 'job-complete'
+ * @returns {Function} - Unsubscribes the listener
+ */
+function subscribeToJob(job, listener) {
+  job.events.forEach(listener);
+  
+  if (job.finishedAt) {
+    return () => {};
+  }
+  
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+}
+
+// Records a progress event and sends it to subscribers
+function publish(job, type, data = {}) {
+  // Nothing follows job-complete, e.g. events a cancelled worker sent before it stopped
+  if (job.finishedAt && type !== 'job-complete') return;
+  const event = { type, timestamp: Date.now(), ...data };
+  
+  job.events.push(event);
+  if (job.events.length > MAX_JOB_EVENTS) {
+    job.events.shift();
+  }
+  job.emitter.emit('event', event);
+}
+
+/**
+ * Public view of a job for the API (omits the input text)
+ * 
+ * @param {object} job - Job object
+ * @returns {object} - Serializable job status
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    inputLength: job.inputLength,
+    cancelRequested: job.cancelRequested,
+    progress: job.progress,
+    result: job.result,
+    error: job.error
+  };
+}
+
+// Marks a job as finished and schedules its removal
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.progress.current = null;
+  job.worker = null;
+  if (status === 'cancelled') {
+    job.progress.algorithms
+      .filter(a => a.status === 'pending' || a.status === 'running')
+      .forEach(a => { a.status = 'cancelled'; });
+  }
+  job.inputText = null; // Release the input, it's no longer needed
+  
+  publish(job, 'job-complete', { status });
+  job.emitter.removeAllListeners();
+  
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+}
+
+// Runs one job to the end, publishing its progress
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  const algorithmProgress = name => job.progress.algorithms.find(a => a.name === name);
+  
+  try {
+    const result = await runBenchmark(job.inputText, job.selection, {
+      isCancelled: () => job.cancelRequested,
+      onWorker: worker => { job.worker = worker; },
+      onStart: name => {
+        job.progress.current = name;
+        algorithmProgress(name).status = 'running';
+        publish(job, 'algorithm-start', {
+          algorithm: name,
+          index: job.progress.completed,
+          total: job.progress.total
+        });
+      },
+      onEvent: event => publish(job, event.type, event),
+      onComplete: (name, data) => {
+        job.progress.completed++;
+        job.progress.current = null;
+        algorithmProgress(name).status = data.skipped ? 'skipped'
+          : data.timedOut ? 'timed-out'
+          : data.error ? 'error'
+          : 'completed';
+        publish(job, 'algorithm-complete', {
+          algorithm: name,
+          status: algorithmProgress(name).status,
+          error: data.error,
+          executionTime: data.executionTime,
+          memoryUsage: data.memoryUsage,
+          iterations: data.iterations || 0,
+          completed: job.progress.completed,
+          total: job.progress.total
+        });
+      }
+    });
+    
+    result.orderMode = job.selection.requestedOrder;
+    job.result = result;
+    // A cancelled job was finished by cancelJob; it only gets its partial results.
+    // Only complete runs go into the history.
+    if (!job.cancelRequested) {
+      const run = saveRun(result, job.inputText, { ...job.selection, order: job.selection.requestedOrder }, 'job');
+      result.runId = run ? run.id : null;
+      finishJob(job, 'completed');
+    }
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error);
+    if (!job.cancelRequested) {
+      job.error = error.message || 'Error processing the input';
+      finishJob(job, 'failed');
+    }
+  }
+}
+
+// Runs queued jobs and synchronous measurements one at a time
+async function processQueue() {
+  if (running) return;
+  running = true;
+  
+  while (queue.length > 0) {
+    const entry = queue.shift();
+    if (entry.task) {
+      await Promise.resolve().then(entry.task).then(entry.resolve, entry.reject);
+    } else {
+      const job = jobs.get(entry.jobId);
+      if (job) await runJob(job);
+    }
+  }
+  
+  running = false;
+}
+
+/**
+ * Runs a measurement for a synchronous route (/runAlgorithms, /upload, /sweep) once
+ * the jobs and measurements queued before it have finished, so it doesn't compete
+ * with them for the CPU
+ * 
+ * @param {Function} task - Starts the measurement; returns a promise of its result
+ * @returns {Promise<*>} - Settles like the task's promise
+ */
+function runQueued(task) {
+  return new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    processQueue();
+  });
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  subscribeToJob,
+  serializeJob,
+  runQueued
+};
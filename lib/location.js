@@ -0,0 +1,66 @@
+// Characters of surrounding text returned on each side of a palindrome by default
+const DEFAULT_CONTEXT_CHARS = 100;
+const MAX_CONTEXT_CHARS = 5000;
+
+/**
+ * Converts a character offset into a 1-based line and column
+ * 
+ * @param {string} text - Text the offset points into
+ * @param {number} offset - Character offset
+ * @returns {object} - { line, column }
+ */
+function lineColumn(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+  let newline = text.indexOf('\n');
+  while (newline !== -1 && newline < offset) {
+    line++;
+    lineStart = newline + 1;
+    newline = text.indexOf('\n', lineStart);
+  }
+  return { line, column: offset - lineStart + 1 };
+}
+
+/**
+ * Describes where a palindrome is in the original input and cuts out the text around it.
+ * 
+ * The range comes from the span the algorithm matched (see originalRange), not from
+ * searching for the palindrome's text, which may also occur earlier in the input.
+ * 
+ * @param {object|null} range - { start, end } offsets of the palindrome in the original text (end exclusive)
+ * @param {string} originalStr - Original input text
+ * @param {number} [contextChars] - Characters of context to include on each side
+ * @returns {object|null} - { location, context }, or null if there is no palindrome
+ */
+function locatePalindrome(range, originalStr, contextChars = DEFAULT_CONTEXT_CHARS) {
+  if (!range || range.end <= range.start) return null;
+  const { start, end } = range;
+  
+  const first = lineColumn(originalStr, start);
+  const last = lineColumn(originalStr, end - 1);
+  
+  return {
+    // end is exclusive; endLine/endColumn point at the last character
+    location: {
+      start,
+      end,
+      startLine: first.line,
+      startColumn: first.column,
+      endLine: last.line,
+      endColumn: last.column
+    },
+    context: {
+      before: originalStr.substring(Math.max(0, start - contextChars), start),
+      after: originalStr.substring(end, end + contextChars),
+      truncatedBefore: start > contextChars,
+      truncatedAfter: end + contextChars < originalStr.length
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_CHARS,
+  MAX_CONTEXT_CHARS,
+  lineColumn,
+  locatePalindrome
+};
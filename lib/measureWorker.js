@@ -0,0 +1,28 @@
+// Worker thread entry point: measures one algorithm in its own isolate so the parent
+// can terminate it on timeout and memory readings aren't affected by other algorithms
+const { parentPort, workerData } = require('worker_threads');
+const { algorithms } = require('./registry');
+const { measurePerformance } = require('./benchmark');
+const { COMPLEMENT } = require('./sequence');
+
+const { algorithmName, preprocessedData, iterations, warmups } = workerData;
+const algorithm = algorithms.find(a => a.name === algorithmName);
+
+if (!algorithm) {
+  throw new Error(`Unknown algorithm: ${algorithmName}`);
+}
+
+// Forward warmup/iteration events as they happen, then the final measurement
+const result = measurePerformance(algorithm.fn, algorithmName, preprocessedData, {
+  iterations,
+  warmups,
+  approximate: Boolean(algorithm.approximate),
+  onEvent: event => parentPort.postMessage({ type: 'event', event })
+});
+
+// Extra information about the palindrome found, worked out once outside the measured runs
+if (algorithm.details && result.result) {
+  const { processedStr, indexMapping, originalStr, mode, approximation } = preprocessedData;
+  result.details = algorithm.details(processedStr, indexMapping, originalStr, mode === 'sequence' ? COMPLEMENT : undefined, approximation);
+}
+parentPort.postMessage({ type: 'result', result });
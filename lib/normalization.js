@@ -0,0 +1,208 @@
+// Text normalization for palindrome detection. The defaults reproduce the original
+// behavior: ASCII letters and digits only, case-insensitive.
+const DEFAULT_NORMALIZATION = {
+  letters: 'ascii',      // 'ascii' (a-z) or 'unicode' (any \p{L} letter)
+  digits: true,          // Keep digits (0-9, or any \p{N} number with unicode letters)
+  caseSensitive: false,
+  form: 'none',          // Unicode normalization form applied to each symbol: 'none', 'NFC' or 'NFD'
+  foldDiacritics: false, // Drop combining marks after decomposing, so "é" matches "e"
+  graphemes: false       // Compare grapheme clusters instead of code points
+};
+
+// How input text is matched:
+// - normalized: only letters and digits count, as set by the normalization options
+// - raw: every character counts exactly as written, spaces and punctuation included
+// - sequence: DNA/RNA (FASTA) bases, matched against their reverse complement (see sequence.js)
+const MATCH_MODES = ['normalized', 'raw', 'sequence'];
+
+const LETTER_MODES = ['ascii', 'unicode'];
+const NORMALIZATION_FORMS = ['none', 'NFC', 'NFD'];
+
+// Symbols longer than one UTF-16 code unit are replaced by a private use character so
+// the algorithms can keep comparing single characters. Private use characters are
+// neither letters nor numbers, so they never collide with kept input characters.
+const ALIAS_FIRST = 0xE000;
+const ALIAS_LAST = 0xF8FF;
+
+let graphemeSegmenter = null;
+
+/**
+ * Validates a normalization options object (or its JSON text, as sent in form fields)
+ * 
+ * @param {object|string} [value] - Options to merge over DEFAULT_NORMALIZATION
+ * @returns {object} - { normalization } on success or { error }
+ */
+function parseNormalization(value) {
+  if (value === undefined || value === null || value === '') {
+    return { normalization: { ...DEFAULT_NORMALIZATION } };
+  }
+  
+  let options = value;
+  if (typeof value === 'string') {
+    try {
+      options = JSON.parse(value);
+    } catch (e) {
+      return { error: 'Normalization must be a JSON object' };
+    }
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'Normalization must be an object' };
+  }
+  
+  const unknown = Object.keys(options).filter(key => !(key in DEFAULT_NORMALIZATION));
+  if (unknown.length > 0) {
+    return { error: `Unknown normalization option(s): ${unknown.join(', ')}` };
+  }
+  
+  const normalization = { ...DEFAULT_NORMALIZATION, ...options };
+  if (!LETTER_MODES.includes(normalization.letters)) {
+    return { error: `Normalization letters must be one of: ${LETTER_MODES.join(', ')}` };
+  }
+  if (!NORMALIZATION_FORMS.includes(normalization.form)) {
+    return { error: `Normalization form must be one of: ${NORMALIZATION_FORMS.join(', ')}` };
+  }
+  const flags = ['digits', 'caseSensitive', 'foldDiacritics', 'graphemes'];
+  const invalid = flags.filter(flag => typeof normalization[flag] !== 'boolean');
+  if (invalid.length > 0) {
+    return { error: `Normalization option(s) must be true or false: ${invalid.join(', ')}` };
+  }
+  
+  return { normalization };
+}
+
+/**
+ * Whether the options match the defaults, so the fast ASCII path can be used
+ * 
+ * @param {object} [options] - Normalization options
+ * @returns {boolean} - True when no option differs from DEFAULT_NORMALIZATION
+ */
+function isDefaultNormalization(options) {
+  return !options || Object.keys(DEFAULT_NORMALIZATION).every(key =>
+    options[key] === undefined || options[key] === DEFAULT_NORMALIZATION[key]);
+}
+
+// Splits text into symbols (grapheme clusters or code points) with their offsets
+function splitSymbols(text, graphemes) {
+  if (graphemes) {
+    if (!graphemeSegmenter) {
+      graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    }
+    return Array.from(graphemeSegmenter.segment(text), ({ segment, index }) => ({ symbol: segment, index }));
+  }
+  
+  const symbols = [];
+  let index = 0;
+  for (const symbol of text) {
+    symbols.push({ symbol, index });
+    index += symbol.length;
+  }
+  return symbols;
+}
+
+/**
+ * Normalizes text with the given options.
+ * 
+ * Each symbol is normalized (form, diacritic folding, case), then kept only if it
+ * starts with a letter or number of the selected classes. Every kept symbol becomes
+ * exactly one character of processedStr, and indexMapping holds the offset where that
+ * symbol starts in the original text, so surrogate pairs and grapheme clusters are
+ * never split.
+ * 
+ * @param {string} text - Original input text
+ * @param {object} options - Normalization options (see DEFAULT_NORMALIZATION)
+ * @returns {object} - { processedStr, indexMapping }
+ */
+function normalizeText(text, options) {
+  const { letters, digits, caseSensitive, form, foldDiacritics, graphemes } = { ...DEFAULT_NORMALIZATION, ...options };
+  const letterPattern = letters === 'unicode' ? /^\p{L}/u : /^[a-zA-Z]/;
+  const digitPattern = letters === 'unicode' ? /^\p{N}/u : /^[0-9]/;
+  
+  const tokens = [];
+  const indexMapping = [];
+  
+  for (const { symbol, index } of splitSymbols(text, graphemes)) {
+    let token = symbol;
+    if (foldDiacritics) {
+      token = token.normalize('NFD').replace(/\p{M}/gu, '');
+    } else if (form !== 'none') {
+      token = token.normalize(form);
+    }
+    
+    if (!token || !(letterPattern.test(token) || (digits && digitPattern.test(token)))) continue;
+    
+    tokens.push(caseSensitive ? token : token.toLowerCase());
+    indexMapping.push(index);
+  }
+  
+  return { processedStr: aliasTokens(tokens), indexMapping };
+}
+
+// Joins tokens into a string with one character per token, giving every distinct
+// multi-unit token its own single-character alias
+function aliasTokens(tokens) {
+  const aliases = new Map();
+  let nextAlias = ALIAS_FIRST;
+  return tokens.map(token => {
+    if (token.length === 1) return token;
+    if (!aliases.has(token)) {
+      if (nextAlias > ALIAS_LAST) {
+        throw new Error(`Too many distinct multi-character symbols (at most ${ALIAS_LAST - ALIAS_FIRST + 1})`);
+      }
+      aliases.set(token, String.fromCharCode(nextAlias++));
+    }
+    return aliases.get(token);
+  }).join('');
+}
+
+/**
+ * Reads text as-is for raw matching: every code point is kept and compared exactly.
+ * 
+ * The mapping is the identity unless the text contains characters outside the Basic
+ * Multilingual Plane (e.g. emoji); those are aliased like in normalizeText so a
+ * surrogate pair is never split or matched half by half.
+ * 
+ * @param {string} text - Original input text
+ * @returns {object} - { processedStr, indexMapping }
+ */
+function rawText(text) {
+  if (!/[\uD800-\uDFFF]/.test(text)) {
+    return { processedStr: text, indexMapping: Array.from({ length: text.length }, (_, i) => i) };
+  }
+  
+  const symbols = splitSymbols(text, false);
+  return {
+    processedStr: aliasTokens(symbols.map(({ symbol }) => symbol)),
+    indexMapping: symbols.map(({ index }) => index)
+  };
+}
+
+/**
+ * Finds where the symbol starting at an offset ends: the end of its grapheme cluster,
+ * so a surrogate pair or a letter with combining marks is never cut in half.
+ * 
+ * @param {string} text - Original input text
+ * @param {number} index - Offset where a symbol starts
+ * @returns {number} - Offset just past the symbol
+ */
+function symbolEnd(text, index) {
+  // Fast path: nothing below U+0300 (combining marks start there) can continue a symbol
+  if (index + 1 >= text.length || text.charCodeAt(index + 1) < 0x300) {
+    return index + 1;
+  }
+  
+  if (!graphemeSegmenter) {
+    graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+  }
+  const { segment } = graphemeSegmenter.segment(text.substring(index, index + 64))[Symbol.iterator]().next().value;
+  return index + segment.length;
+}
+
+module.exports = {
+  MATCH_MODES,
+  DEFAULT_NORMALIZATION,
+  parseNormalization,
+  isDefaultNormalization,
+  normalizeText,
+  rawText,
+  symbolEnd
+};
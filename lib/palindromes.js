@@ -0,0 +1,176 @@
+const { preprocessString, originalRange, manacherRadii, buildEertree } = require('./algorithms');
+const { MATCH_MODES, parseNormalization } = require('./normalization');
+const { COMPLEMENT, locateInRecords } = require('./sequence');
+const { parseTokenization } = require('./tokens');
+
+// Supported listing modes:
+// - maximal: every maximal palindrome (one per center that can't be extended further)
+// - top: the K longest distinct palindromes, each with its first occurrence
+const PALINDROME_MODES = ['maximal', 'top'];
+
+const DEFAULT_MIN_LENGTH = 2;
+const DEFAULT_TOP_K = 10;
+const MAX_TOP_K = 10000;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Parses an optional whole-number field; the default when absent, NaN when invalid
+function parseInteger(value, min, max, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+}
+
+/**
+ * Validates a palindrome listing request
+ * 
+ * @param {object} [fields] - Request body fields
+ * @param {string} [fields.mode] - One of PALINDROME_MODES (default 'maximal')
+ * @param {number|string} [fields.minLength] - Shortest palindrome to include, in processed characters
+ * @param {number|string} [fields.k] - How many of the longest distinct palindromes to return ('top' mode)
+ * @param {number|string} [fields.offset] - Index of the first palindrome on this page
+ * @param {number|string} [fields.limit] - Page size
+ * @param {object|string} [fields.normalization] - Normalization options, as an object or JSON text
+ * @param {string} [fields.matchMode] - One of MATCH_MODES (default 'normalized'); named apart from
+ *   the listing mode, which this route already calls "mode"
+ * @param {string} [fields.granularity] - One of GRANULARITIES (default 'char'); lengths then count words or lines
+ * @param {string} [fields.wordPattern] - Regular expression for a word with word granularity
+ * @returns {object} - { mode, minLength, k, offset, limit, normalization, matchMode, tokenization } on success
+ *   or { error }
+ */
+function parsePalindromeQuery(fields = {}) {
+  const mode = fields.mode || 'maximal';
+  if (!PALINDROME_MODES.includes(mode)) {
+    return { error: `Unknown mode "${mode}". Expected one of: ${PALINDROME_MODES.join(', ')}` };
+  }
+  
+  const minLength = parseInteger(fields.minLength, 1, Number.MAX_SAFE_INTEGER, DEFAULT_MIN_LENGTH);
+  if (Number.isNaN(minLength)) {
+    return { error: 'Minimum length must be a whole number of at least 1' };
+  }
+  
+  const k = parseInteger(fields.k, 1, MAX_TOP_K, DEFAULT_TOP_K);
+  if (Number.isNaN(k)) {
+    return { error: `K must be a whole number between 1 and ${MAX_TOP_K}` };
+  }
+  
+  const offset = parseInteger(fields.offset, 0, Number.MAX_SAFE_INTEGER, 0);
+  const limit = parseInteger(fields.limit, 1, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE);
+  if (Number.isNaN(offset) || Number.isNaN(limit)) {
+    return { error: `Offset must be a whole number and limit between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  
+  const { normalization, error } = parseNormalization(fields.normalization);
+  if (error) {
+    return { error };
+  }
+  
+  const matchMode = fields.matchMode || 'normalized';
+  if (!MATCH_MODES.includes(matchMode)) {
+    return { error: `Unknown match mode "${matchMode}". Expected one of: ${MATCH_MODES.join(', ')}` };
+  }
+  // The eertree only handles ordinary palindromes
+  if (matchMode === 'sequence' && mode === 'top') {
+    return { error: 'Sequence mode only supports the maximal listing' };
+  }
+  
+  const { tokenization, error: tokenizationError } = parseTokenization(fields);
+  if (tokenizationError) {
+    return { error: tokenizationError };
+  }
+  if (matchMode === 'sequence' && tokenization.granularity !== 'char') {
+    return { error: 'Sequence mode only supports character granularity' };
+  }
+  
+  return { mode, minLength, k, offset, limit, normalization, matchMode, tokenization };
+}
+
+// Describes a palindrome of the processed string in terms of the original string
+function describePalindrome(processedStart, length, indexMapping, originalStr) {
+  const { start, end } = originalRange(processedStart, length, indexMapping, originalStr);
+  return {
+    text: originalStr.substring(start, end),
+    length,
+    start,
+    end,
+    processedStart
+  };
+}
+
+/**
+ * Lists palindromes in the input, one page at a time.
+ * 
+ * Only the requested page is turned into strings, so even inputs with hundreds of
+ * thousands of maximal palindromes (e.g. a single repeated character) stay cheap.
+ * Lengths count processed characters (or words or lines with a coarser granularity);
+ * start/end are offsets into the original input (end exclusive). In sequence mode the
+ * palindromes are reverse-complement palindromes and each one also names its FASTA
+ * record and base positions within it.
+ * 
+ * @param {string} inputText - Original input text
+ * @param {object} query - Validated query from parsePalindromeQuery
+ * @returns {object} - { mode, minLength, k, total, offset, limit, nextOffset, palindromes }
+ */
+function findPalindromes(inputText, query) {
+  const { processedStr, indexMapping, records } = preprocessString(inputText, query.normalization, query.matchMode, query.tokenization);
+  const { mode, minLength, k, offset, limit, matchMode, tokenization } = query;
+  const payload = {
+    mode,
+    matchMode,
+    granularity: tokenization.granularity,
+    minLength,
+    k: mode === 'top' ? k : undefined,
+    offset,
+    limit
+  };
+  
+  let total = 0;
+  let page = [];
+  
+  if (mode === 'maximal') {
+    // Every center's radius is the length of its maximal palindrome
+    const radius = manacherRadii(processedStr, records ? COMPLEMENT : undefined);
+    const centers = [];
+    for (let i = 0; i < radius.length; i++) {
+      if (radius[i] >= minLength) centers.push(i);
+    }
+    
+    total = centers.length;
+    page = centers.slice(offset, offset + limit).map(i => {
+      const palindrome = describePalindrome((i - radius[i]) >> 1, radius[i], indexMapping, inputText);
+      if (records) {
+        palindrome.record = locateInRecords(records, palindrome.processedStart, palindrome.length);
+      }
+      return palindrome;
+    });
+  } else {
+    // Every eertree node is a distinct palindrome; longest first, then by first occurrence
+    const { nodeCount, length, firstEnd, occurrences } = buildEertree(processedStr);
+    const nodes = [];
+    for (let node = 2; node < nodeCount; node++) {
+      if (length[node] >= minLength) nodes.push(node);
+    }
+    const firstStart = node => firstEnd[node] - length[node] + 1;
+    nodes.sort((a, b) => length[b] - length[a] || firstStart(a) - firstStart(b));
+    
+    const top = nodes.slice(0, k);
+    total = top.length;
+    page = top.slice(offset, offset + limit).map(node => ({
+      ...describePalindrome(firstStart(node), length[node], indexMapping, inputText),
+      occurrences: occurrences[node]
+    }));
+  }
+  
+  return {
+    ...payload,
+    total,
+    nextOffset: offset + limit < total ? offset + limit : null,
+    palindromes: page
+  };
+}
+
+module.exports = {
+  PALINDROME_MODES,
+  parsePalindromeQuery,
+  findPalindromes
+};
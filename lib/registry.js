@@ -0,0 +1,650 @@
+const {
+  preprocessString,
+  originalRange,
+  naiveLPS,
+  approximateLPS,
+  approximateDetails,
+  bruteForceLPS,
+  bruteForceGuard,
+  dpLPS,
+  dpTableGuard,
+  dpRollingLPS,
+  expandAroundCenterLPS,
+  manacherLPS,
+  eertreeLPS,
+  rollingHashLPS,
+  rollingHashMetadata,
+  BRUTE_FORCE_MAX_LENGTH,
+  DP_TABLE_MEMORY_LIMIT,
+  MAX_MISMATCHES,
+  MAX_GAP
+} = require('./algorithms');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { welchTTest } = require('./statistics');
+const { DEFAULT_CONTEXT_CHARS, MAX_CONTEXT_CHARS, locatePalindrome } = require('./location');
+const { MATCH_MODES, parseNormalization } = require('./normalization');
+const { parseTokenization } = require('./tokens');
+const { checkAgreement } = require('./agreement');
+const { locateInRecords } = require('./sequence');
+const { describeEnvironment } = require('./benchmark');
+const { hashInput } = require('./runs');
+
+// Worker script that runs measurePerformance for one algorithm
+const MEASURE_WORKER_PATH = path.join(__dirname, 'measureWorker.js');
+
+// Time allowed for each algorithm's measurement before its worker is terminated (in milliseconds)
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.ALGORITHM_TIMEOUT_MS, 10) || 120000; // 2 minutes
+const MAX_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+
+// Upper bounds for caller-chosen measured runs and warmup runs per algorithm
+const MAX_ITERATIONS = 100;
+const MAX_WARMUPS = 20;
+
+/**
+ * Every algorithm the analyzer can run. Each entry declares:
+ * - name: identifier used in API responses and result card IDs
+ * - displayName: human-readable name for the UI
+ * - complexity: time and space complexity labels
+ * - maxRecommendedLength: processed input length above which the algorithm gets slow
+ *   (or is skipped by its guard)
+ * - fn: the algorithm, called as fn(processedStr, indexMapping, originalStr, complement, approximation);
+ *   returns the { start, length } span of its palindrome in processedStr, or null
+ * - sequence (optional): true if fn honors the complement map, so it can run in sequence mode
+ * - approximate (optional): true if fn allows the mismatches and gap in approximation, so its
+ *   result isn't checked as an exact palindrome
+ * - details (optional): called with the same arguments as fn once measuring is done (in the
+ *   worker); returns extra information about the palindrome found
+ * - guard (optional): returns a reason to skip the run for this input, or null
+ * - metadata (optional): returns extra information to attach to the result
+ */
+const algorithms = [
+  {
+    name: 'brute-force',
+    displayName: 'Brute Force',
+    complexity: { time: 'O(n³)', space: 'O(1)' },
+    maxRecommendedLength: BRUTE_FORCE_MAX_LENGTH,
+    fn: bruteForceLPS,
+    guard: bruteForceGuard
+  },
+  {
+    name: 'naive',
+    displayName: 'Naive Approach',
+    complexity: { time: 'O(n²)', space: 'O(1)' },
+    maxRecommendedLength: 100000,
+    fn: naiveLPS
+  },
+  {
+    name: 'approximate',
+    displayName: 'Approximate (k Mismatches, Gap)',
+    complexity: { time: 'O(n² · (g + 1))', space: 'O(1)' },
+    maxRecommendedLength: 50000,
+    fn: approximateLPS,
+    sequence: true,
+    approximate: true,
+    details: approximateDetails
+  },
+  {
+    name: 'dp',
+    displayName: 'Dynamic Programming',
+    complexity: { time: 'O(n²)', space: 'O(n²)' },
+    maxRecommendedLength: Math.floor(Math.sqrt(DP_TABLE_MEMORY_LIMIT * 8)),
+    fn: dpLPS,
+    guard: dpTableGuard
+  },
+  {
+    name: 'dp-rolling',
+    displayName: 'Dynamic Programming (Rolling Rows)',
+    complexity: { time: 'O(n²)', space: 'O(n)' },
+    maxRecommendedLength: 50000,
+    fn: dpRollingLPS
+  },
+  {
+    name: 'expand',
+    displayName: 'Expand Around Center',
+    complexity: { time: 'O(n²)', space: 'O(1)' },
+    maxRecommendedLength: 100000,
+    fn: expandAroundCenterLPS,
+    sequence: true
+  },
+  {
+    name: 'manacher',
+    displayName: 'Manacher\'s Algorithm',
+    complexity: { time: 'O(n)', space: 'O(n)' },
+    maxRecommendedLength: 500000,
+    fn: manacherLPS,
+    sequence: true
+  },
+  {
+    name: 'eertree',
+    displayName: 'Palindromic Tree (Eertree)',
+    complexity: { time: 'O(n)', space: 'O(n)' },
+    maxRecommendedLength: 500000,
+    fn: eertreeLPS
+  },
+  {
+    name: 'rolling-hash',
+    displayName: 'Rolling Hash + Binary Search',
+    complexity: { time: 'O(n log n)', space: 'O(n)' },
+    maxRecommendedLength: 500000,
+    fn: rollingHashLPS,
+    metadata: rollingHashMetadata
+  }
+];
+
+/**
+ * Lists the registry without function references, for the GET /algorithms endpoint
+ * 
+ * @returns {Array} - Serializable algorithm descriptions
+ */
+function listAlgorithms() {
+  return algorithms.map(({ name, displayName, complexity, maxRecommendedLength, sequence }) => ({
+    name,
+    displayName,
+    complexity,
+    maxRecommendedLength,
+    supportsSequence: Boolean(sequence)
+  }));
+}
+
+// Supported execution order modes
+const ORDER_MODES = ['manacher-first', 'shuffled', 'fixed'];
+const DEFAULT_ORDER_MODE = 'manacher-first';
+
+// Shuffles an array in place (Fisher-Yates)
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// Parses an optional whole-number request field; undefined when absent, NaN when invalid
+function parseCount(value, min, max) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const count = Number(value);
+  return Number.isInteger(count) && count >= min && count <= max ? count : NaN;
+}
+
+/**
+ * Validates a caller's algorithm selection, order mode, per-algorithm timeout and
+ * measurement settings. Fields arrive as JSON values or as multipart form strings.
+ * 
+ * @param {object} [fields] - Request body fields
+ * @param {Array<string>|string} [fields.algorithms] - Algorithm names, as an array or comma-separated string
+ * @param {string} [fields.order] - One of ORDER_MODES
+ * @param {number|string} [fields.timeout] - Milliseconds allowed per algorithm (defaults to DEFAULT_TIMEOUT_MS)
+ * @param {number|string} [fields.iterations] - Measured runs per algorithm (defaults to a count based on input size)
+ * @param {number|string} [fields.warmups] - Warmup runs per algorithm (defaults to 2)
+ * @param {number|string} [fields.contextChars] - Characters of surrounding text returned on each side of each palindrome
+ * @param {object|string} [fields.normalization] - Normalization options, as an object or JSON text (see DEFAULT_NORMALIZATION)
+ * @param {string} [fields.mode] - One of MATCH_MODES (default 'normalized')
+ * @param {number|string} [fields.mismatches] - Mismatched pairs the approximate algorithm allows (default 0)
+ * @param {number|string} [fields.gap] - Longest middle spacer the approximate algorithm allows (default 0)
+ * @param {string} [fields.granularity] - One of GRANULARITIES: compare characters, words or lines (default 'char')
+ * @param {string} [fields.wordPattern] - Regular expression for a word with word granularity
+ * @returns {object} - { names, order, timeout, iterations, warmups, contextChars, normalization, mode,
+ *   approximation, tokenization } on success or { error } describing the problem
+ */
+function parseSelection(fields = {}) {
+  const { algorithms: names, order, timeout } = fields;
+  let selected = null;
+  if (names !== undefined && names !== null && names !== '') {
+    selected = (Array.isArray(names) ? names : String(names).split(','))
+      .map(name => String(name).trim())
+      .filter(name => name.length > 0);
+    
+    const unknown = selected.filter(name => !algorithms.some(a => a.name === name));
+    if (unknown.length > 0) {
+      return { error: `Unknown algorithm(s): ${unknown.join(', ')}` };
+    }
+    if (selected.length === 0) {
+      return { error: 'At least one algorithm must be selected' };
+    }
+    // Ignore duplicates, keeping the first occurrence
+    selected = [...new Set(selected)];
+  }
+  
+  const orderMode = order || DEFAULT_ORDER_MODE;
+  if (!ORDER_MODES.includes(orderMode)) {
+    return { error: `Unknown order "${orderMode}". Expected one of: ${ORDER_MODES.join(', ')}` };
+  }
+  
+  let timeoutMs = DEFAULT_TIMEOUT_MS;
+  if (timeout !== undefined && timeout !== null && timeout !== '') {
+    timeoutMs = Number(timeout);
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0 || timeoutMs > MAX_TIMEOUT_MS) {
+      return { error: `Timeout must be a whole number of milliseconds between 1 and ${MAX_TIMEOUT_MS}` };
+    }
+  }
+  
+  const iterations = parseCount(fields.iterations, 1, MAX_ITERATIONS);
+  if (Number.isNaN(iterations)) {
+    return { error: `Iterations must be a whole number between 1 and ${MAX_ITERATIONS}` };
+  }
+  
+  const warmups = parseCount(fields.warmups, 0, MAX_WARMUPS);
+  if (Number.isNaN(warmups)) {
+    return { error: `Warmups must be a whole number between 0 and ${MAX_WARMUPS}` };
+  }
+  
+  const contextChars = parseCount(fields.contextChars, 0, MAX_CONTEXT_CHARS);
+  if (Number.isNaN(contextChars)) {
+    return { error: `Context must be a whole number of characters between 0 and ${MAX_CONTEXT_CHARS}` };
+  }
+  
+  const { normalization, error: normalizationError } = parseNormalization(fields.normalization);
+  if (normalizationError) {
+    return { error: normalizationError };
+  }
+  
+  const mode = fields.mode || 'normalized';
+  if (!MATCH_MODES.includes(mode)) {
+    return { error: `Unknown mode "${mode}". Expected one of: ${MATCH_MODES.join(', ')}` };
+  }
+  
+  const mismatches = parseCount(fields.mismatches, 0, MAX_MISMATCHES);
+  if (Number.isNaN(mismatches)) {
+    return { error: `Mismatches must be a whole number between 0 and ${MAX_MISMATCHES}` };
+  }
+  
+  const gap = parseCount(fields.gap, 0, MAX_GAP);
+  if (Number.isNaN(gap)) {
+    return { error: `Gap must be a whole number of characters between 0 and ${MAX_GAP}` };
+  }
+  
+  const { tokenization, error: tokenizationError } = parseTokenization(fields);
+  if (tokenizationError) {
+    return { error: tokenizationError };
+  }
+  // Reverse complements are defined on bases, not on words or lines
+  if (mode === 'sequence' && tokenization.granularity !== 'char') {
+    return { error: 'Sequence mode only supports character granularity' };
+  }
+  
+  return {
+    names: selected,
+    order: orderMode,
+    timeout: timeoutMs,
+    iterations,
+    warmups,
+    contextChars: contextChars ?? DEFAULT_CONTEXT_CHARS,
+    normalization,
+    mode,
+    approximation: { mismatches: mismatches ?? 0, gap: gap ?? 0 },
+    tokenization
+  };
+}
+
+/**
+ * Decides which algorithms run and in what order:
+ * - manacher-first: Manacher's first so its timing is not affected by the heap state
+ *   left behind by the others, and the rest shuffled (the default)
+ * - shuffled: every selected algorithm in random order
+ * - fixed: exactly the order requested (registry order if no selection was given)
+ * 
+ * @param {Array<string>|null} [names] - Algorithm names to run; all when omitted
+ * @param {string} [order] - One of ORDER_MODES
+ * @returns {Array} - Registry entries in execution order
+ */
+function getExecutionOrder(names = null, order = DEFAULT_ORDER_MODE) {
+  const selected = names
+    ? names.map(name => algorithms.find(a => a.name === name))
+    : [...algorithms];
+  
+  if (order === 'fixed') {
+    return selected;
+  }
+  
+  if (order === 'shuffled') {
+    return shuffle(selected);
+  }
+  
+  // ALWAYS run Manacher's algorithm first to see its true performance
+  // Remove manacher from the array for now
+  const manacherAlgorithm = selected.find(a => a.name === 'manacher');
+  const otherAlgorithms = shuffle(selected.filter(a => a.name !== 'manacher'));
+  
+  // Construct the final algorithm execution order with Manacher first
+  return manacherAlgorithm ? [manacherAlgorithm, ...otherAlgorithms] : otherAlgorithms;
+}
+
+/**
+ * Measures a single algorithm in isolation, inside its own worker thread.
+ * The worker is terminated if it runs longer than the timeout, so a runaway
+ * algorithm really stops and is reported as timed out.
+ * 
+ * @param {object} algorithm - Registry entry
+ * @param {object} preprocessedData - { processedStr, indexMapping, originalStr, normalization, mode, approximation, tokenization }
+ * @param {object} [options] - Optional settings
+ * @param {number} [options.timeout] - Time allowed for the whole measurement (warmup included)
+ * @param {Function} [options.onEvent] - Receives warmup/iteration events forwarded from the worker
+ * @param {number} [options.iterations] - Measured runs, passed to measurePerformance
+ * @param {number} [options.warmups] - Warmup runs, passed to measurePerformance
+ * @param {Function} [options.onWorker] - Receives the worker once it starts, so the caller can terminate it
+ * @param {Function} [options.isCancelled] - Checked when the worker exits early; a cancelled run isn't an error
+ * @returns {Promise<object>} - Measurement from measurePerformance, or a timeout/error/cancelled result
+ */
+function measureIsolated(algorithm, preprocessedData, options = {}) {
+  const algorithmName = algorithm.name;
+  const timeoutMs = options.timeout || DEFAULT_TIMEOUT_MS;
+  const onEvent = options.onEvent || (() => {});
+  
+  // Skip algorithms whose guard rejects this input (e.g. DP table too large), and
+  // algorithms that can only compare characters for equality in sequence mode
+  let skipReason = algorithm.guard ? algorithm.guard(preprocessedData.processedStr) : null;
+  if (preprocessedData.mode === 'sequence' && !algorithm.sequence) {
+    skipReason = 'Does not support reverse-complement matching (sequence mode)';
+  }
+  if (skipReason) {
+    console.log(`Skipping ${algorithmName}: ${skipReason}`);
+    return Promise.resolve({
+      name: algorithmName,
+      result: '',
+      executionTime: 0,
+      memoryUsage: 0,
+      skipped: skipReason
+    });
+  }
+  
+  return new Promise(resolve => {
+    console.log(`Starting measurement for ${algorithmName} in a worker thread...`);
+    
+    // workerData is structured-cloned, so each worker gets a fresh copy of the input
+    const worker = new Worker(MEASURE_WORKER_PATH, {
+      workerData: {
+        algorithmName,
+        preprocessedData,
+        iterations: options.iterations,
+        warmups: options.warmups
+      }
+    });
+    if (options.onWorker) options.onWorker(worker);
+    
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      console.log(`${algorithmName} measurement complete`);
+      resolve({
+        name: algorithmName,
+        ...result
+      });
+    };
+    
+    const timeoutId = setTimeout(() => {
+      console.log(`Algorithm ${algorithmName} timed out after ${timeoutMs}ms, terminating worker`);
+      worker.terminate();
+      finish({
+        result: '',
+        executionTime: timeoutMs,
+        memoryUsage: 0,
+        timedOut: true
+      });
+    }, timeoutMs);
+    
+    worker.on('message', message => {
+      if (message.type === 'event') {
+        onEvent(message.event);
+      } else if (message.type === 'result') {
+        finish(message.result);
+      }
+    });
+    
+    worker.once('error', error => {
+      console.error(`Worker for ${algorithmName} failed:`, error);
+      finish({
+        result: 'Error: ' + error.message,
+        executionTime: 0,
+        memoryUsage: 0,
+        error: error.message
+      });
+    });
+    
+    worker.once('exit', code => {
+      // Terminated by the caller because the run was cancelled (the exit code is 0 if
+      // that happened before the worker got going)
+      if (options.isCancelled && options.isCancelled()) {
+        finish({
+          result: '',
+          executionTime: 0,
+          memoryUsage: 0,
+          cancelled: true
+        });
+      } else if (code !== 0) {
+        finish({
+          result: `Error: worker exited with code ${code}`,
+          executionTime: 0,
+          memoryUsage: 0,
+          error: `Worker exited with code ${code}`
+        });
+      }
+    });
+  });
+}
+
+// Lets pending I/O (e.g. job status polls) run between algorithms
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Runs algorithms sequentially for better isolation (one at a time)
+ * 
+ * @param {Array} executionOrder - Registry entries to run, in order
+ * @param {object} preprocessedData - { processedStr, indexMapping, originalStr, normalization, mode, approximation, tokenization }
+ * @param {object} [hooks] - Optional settings and progress callbacks
+ * @param {number} [hooks.timeout] - Milliseconds allowed per algorithm
+ * @param {Function} [hooks.onStart] - Called with the algorithm name before it runs
+ * @param {Function} [hooks.onComplete] - Called with the name and measurement after it runs
+ * @param {Function} [hooks.isCancelled] - Checked before each algorithm; stops the run when true
+ * @param {Function} [hooks.onWorker] - Receives each algorithm's worker, so a cancel can terminate it
+ * @param {Function} [hooks.onEvent] - Receives warmup/iteration events while each algorithm runs
+ * @param {number} [hooks.iterations] - Measured runs per algorithm
+ * @param {number} [hooks.warmups] - Warmup runs per algorithm
+ * @returns {Promise<object>} - Measurements keyed by algorithm name
+ */
+async function runSequentially(executionOrder, preprocessedData, hooks = {}) {
+  const results = {};
+  
+  for (const algorithm of executionOrder) {
+    await yieldToEventLoop();
+    if (hooks.isCancelled && hooks.isCancelled()) break;
+    if (hooks.onStart) hooks.onStart(algorithm.name);
+    
+    const result = await measureIsolated(algorithm, preprocessedData, {
+      timeout: hooks.timeout,
+      onEvent: hooks.onEvent,
+      iterations: hooks.iterations,
+      warmups: hooks.warmups,
+      onWorker: hooks.onWorker,
+      isCancelled: hooks.isCancelled
+    });
+    // An algorithm stopped part way by a cancel has no results to report
+    if (result.cancelled) break;
+    results[algorithm.name] = {
+      lps: result.result,
+      span: result.span,
+      executionTime: result.executionTime,
+      memoryUsage: result.memoryUsage,
+      timedOut: result.timedOut || false,
+      memoryMeasurementIssue: result.memoryMeasurementIssue || false,
+      iterations: result.iterations,
+      trimmedCount: result.trimmedCount,
+      allTimes: result.allTimes,
+      allMemory: result.allMemory,
+      timeStats: result.timeStats,
+      memoryStats: result.memoryStats,
+      skipped: result.skipped,
+      error: result.error,
+      details: result.details,
+      metadata: algorithm.metadata ? algorithm.metadata(preprocessedData.processedStr) : undefined
+    };
+    
+    if (hooks.onComplete) hooks.onComplete(algorithm.name, results[algorithm.name]);
+  }
+  
+  return results;
+}
+
+/**
+ * Compares every pair of measured algorithms with Welch's t-test on their raw timings,
+ * so the UI can flag results whose difference is within measurement noise.
+ * 
+ * @param {Array} results - Entries built by runBenchmark
+ * @returns {Array} - { a, b, distinguishable, tStatistic, degreesOfFreedom } per pair
+ */
+function compareTimings(results) {
+  const measured = results.filter(r => r.allTimes && r.allTimes.length > 0);
+  const comparisons = [];
+  
+  for (let i = 0; i < measured.length; i++) {
+    for (let j = i + 1; j < measured.length; j++) {
+      comparisons.push({
+        a: measured[i].algorithm,
+        b: measured[j].algorithm,
+        ...welchTTest(measured[i].allTimes, measured[j].allTimes)
+      });
+    }
+  }
+  
+  return comparisons;
+}
+
+/**
+ * Preprocesses the input, runs the selected algorithms and builds the response payload
+ * the UI expects. Shared by the synchronous routes and the job queue.
+ * 
+ * @param {string} inputText - Original input text
+ * @param {object} selection - Validated selection from parseSelection
+ * @param {object} [hooks] - Progress callbacks passed through to runSequentially
+ * @returns {Promise<object>} - Response payload
+ */
+async function runBenchmark(inputText, selection, hooks = {}) {
+  // Preprocess string once for all algorithms
+  const { normalization, mode, approximation, tokenization } = selection;
+  const { processedStr, indexMapping, records } = preprocessString(inputText, normalization, mode, tokenization);
+  const preprocessedData = { processedStr, indexMapping, originalStr: inputText, normalization, mode, approximation, tokenization };
+  
+  const algorithmExecutionOrder = getExecutionOrder(selection.names, selection.order);
+  console.log(`Algorithm execution order: ${algorithmExecutionOrder.map(a => a.name).join(', ')}`);
+  
+  const results = await runSequentially(algorithmExecutionOrder, preprocessedData, {
+    ...hooks,
+    timeout: selection.timeout,
+    iterations: selection.iterations,
+    warmups: selection.warmups
+  });
+  
+  // Process results in format the UI expects
+  const finalResults = Object.entries(results).map(([algoName, data]) => {
+    const entry = {
+      algorithm: algoName,
+      result: data.lps || '',
+      executionTime: data.executionTime,
+      memoryUsed: data.memoryUsage * 1024, // Convert KB to bytes
+      iterations: data.iterations || 1
+    };
+    if (data.trimmedCount) {
+      entry.trimmedCount = data.trimmedCount;
+    }
+    if (data.timeStats) {
+      entry.allTimes = data.allTimes;
+      entry.allMemory = data.allMemory;
+      entry.timeStats = data.timeStats;
+      entry.memoryStats = data.memoryStats;
+    }
+    if (data.skipped) {
+      entry.skipped = data.skipped;
+      entry.iterations = 0;
+    }
+    if (data.timedOut) {
+      entry.timedOut = true;
+      entry.iterations = 0;
+    }
+    if (data.error) {
+      entry.error = data.error;
+    }
+    if (data.metadata) {
+      entry.metadata = data.metadata;
+    }
+    if (data.details) {
+      // Where the approximate palindrome differs from an exact one
+      entry.approximate = {
+        maxMismatches: selection.approximation.mismatches,
+        maxGap: selection.approximation.gap,
+        ...data.details
+      };
+    }
+    
+    // Where the palindrome is in the original text, with the text around it, from the
+    // processed span the algorithm matched
+    const range = data.span ? originalRange(data.span.start, data.span.length, indexMapping, inputText) : null;
+    const located = locatePalindrome(range, inputText, selection.contextChars);
+    if (located) {
+      entry.location = located.location;
+      entry.context = located.context;
+      // Sequence mode also reports the FASTA record and base positions within it
+      if (records) {
+        entry.record = locateInRecords(records, data.span.start, data.span.length);
+      }
+    }
+    return entry;
+  });
+  
+  // Flag each result's timing as indistinguishable from the algorithms it can't be told apart from
+  const comparisons = compareTimings(finalResults);
+  finalResults.forEach(entry => {
+    if (!entry.timeStats) return;
+    entry.indistinguishableFrom = comparisons
+      .filter(c => c.distinguishable === false && (c.a === entry.algorithm || c.b === entry.algorithm))
+      .map(c => (c.a === entry.algorithm ? c.b : c.a));
+  });
+  
+  // Cross-check the exact algorithms that finished: all must return a palindrome of the
+  // same maximal length. Approximate matching may legitimately find longer ones.
+  const allowsApproximation = selection.approximation.mismatches > 0 || selection.approximation.gap > 0;
+  const { agreement, expectedLength, disagreements } = checkAgreement(finalResults.filter(entry => {
+    const algorithm = algorithms.find(a => a.name === entry.algorithm);
+    return !entry.skipped && !entry.timedOut && !entry.error && !(algorithm.approximate && allowsApproximation);
+  }), selection);
+  disagreements.forEach(({ algorithm, reason }) => {
+    console.error(`DISAGREEMENT: ${algorithm}: ${reason}`);
+  });
+  
+  // Calculate the max palindrome length
+  const maxPalindromeLength = Math.max(...finalResults.map(r => r.result.length), 0);
+  
+  return {
+    fullLength: inputText.length,
+    inputHash: hashInput(inputText),
+    maxPalindromeLength,
+    results: finalResults,
+    comparisons,
+    agreement,
+    expectedLength,
+    disagreements,
+    algorithmOrder: algorithmExecutionOrder.map(a => a.name),
+    orderMode: selection.order,
+    mode: selection.mode,
+    normalization: selection.mode === 'normalized' ? selection.normalization : undefined,
+    granularity: selection.tokenization.granularity,
+    recordCount: records ? records.length : undefined,
+    input: inputText.length > 100 ? inputText.substring(0, 100) : inputText, // Add preview of input
+    environment: describeEnvironment()
+  };
+}
+
+module.exports = {
+  algorithms,
+  listAlgorithms,
+  parseSelection,
+  getExecutionOrder,
+  ORDER_MODES,
+  DEFAULT_TIMEOUT_MS,
+  measureIsolated,
+  runSequentially,
+  runBenchmark
+};
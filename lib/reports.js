@@ -0,0 +1,430 @@
+// Exports of a benchmark's results: CSV with one row per measured iteration, the full
+// JSON payload, and a self-contained HTML or Markdown report with charts.
+const EXPORT_FORMATS = ['json', 'csv', 'html', 'markdown'];
+
+// Content type and file extension of each format
+const FORMAT_TYPES = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  html: { contentType: 'text/html', extension: 'html' },
+  markdown: { contentType: 'text/markdown', extension: 'md' }
+};
+
+// Palindromes longer than this are cut short in reports
+const REPORT_PALINDROME_CHARS = 80;
+
+// Width of the longest bar in Markdown charts, in characters
+const TEXT_BAR_WIDTH = 40;
+
+// Colors for chart series, one per algorithm (same as the web UI)
+const SERIES_COLORS = ['#6C63FF', '#FF6B6B', '#4ECDC4', '#F4A261', '#2A9D8F', '#E76F51', '#8E44AD', '#3498DB'];
+
+const CSV_COLUMNS = [
+  'algorithm', 'execution_order', 'status', 'iteration', 'time_ms', 'memory_bytes',
+  'palindrome_length', 'median_ms', 'mean_ms', 'ci95_lower_ms', 'ci95_upper_ms'
+];
+
+// Columns of the results table in the HTML and Markdown reports
+const RESULT_HEADINGS = ['Algorithm', 'Status', 'Length', 'Iterations', 'Median', 'Mean ± 95% CI', 'p95', 'Memory (median)', 'Palindrome'];
+const RESULT_KEYS = ['algorithm', 'status', 'length', 'iterations', 'median', 'mean', 'p95', 'memory', 'palindrome'];
+
+/**
+ * Validates the export format requested with a benchmark
+ * 
+ * @param {string} [value] - One of EXPORT_FORMATS, or empty for the usual JSON response
+ * @returns {object} - { format } (null when none was requested), or { error }
+ */
+function parseExportFormat(value) {
+  if (value === undefined || value === '') {
+    return { format: null };
+  }
+  if (!EXPORT_FORMATS.includes(value)) {
+    return { error: `Unknown export format "${value}". Expected one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  return { format: value };
+}
+
+// Quotes a CSV field when it needs it
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Makes text safe inside a Markdown table cell
+function escapeMarkdown(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/([|`*_[\]<>])/g, '\\$1').replace(/\s+/g, ' ');
+}
+
+function resultStatus(entry) {
+  if (entry.skipped) return 'skipped';
+  if (entry.timedOut) return 'timed out';
+  if (entry.error) return 'error';
+  return 'ok';
+}
+
+function formatMs(value) {
+  return value === undefined || value === null ? 'n/a' : `${value} ms`;
+}
+
+function formatBytes(bytes) {
+  if (bytes === undefined || bytes === null || isNaN(bytes)) return 'n/a';
+  if (bytes < 1024) return `${bytes.toFixed(2)} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length)}…` : text;
+}
+
+// Length of the palindrome an entry found (none for errors, whose result is the message)
+function palindromeLength(entry) {
+  return entry.error ? null : entry.result.length;
+}
+
+// Results with their 1-based position in the execution order, sorted by it
+function orderedResults(payload) {
+  return payload.results
+    .map(entry => ({ entry, order: payload.algorithmOrder.indexOf(entry.algorithm) + 1 }))
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * One row per algorithm and measured iteration, in execution order. Algorithms that
+ * were skipped, timed out or failed get a single row without timings.
+ * 
+ * @param {object} payload - Response payload from runBenchmark
+ * @returns {string} - CSV text with a header row
+ */
+function toCsv(payload) {
+  const rows = [];
+  
+  orderedResults(payload).forEach(({ entry, order }) => {
+    const stats = entry.timeStats || {};
+    const ci = stats.ci95 || {};
+    const summary = [palindromeLength(entry), stats.median, stats.mean, ci.lower, ci.upper];
+    const times = entry.allTimes || [];
+    
+    if (times.length === 0) {
+      rows.push([entry.algorithm, order, resultStatus(entry), null, null, null, ...summary]);
+      return;
+    }
+    times.forEach((time, i) => {
+      const memory = entry.allMemory ? entry.allMemory[i] : null;
+      rows.push([entry.algorithm, order, resultStatus(entry), i + 1, time, memory, ...summary]);
+    });
+  });
+  
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Label/value pairs describing the input and how it was read
+function inputFacts(payload) {
+  const facts = [
+    ['Input length', `${payload.fullLength.toLocaleString('en-US')} characters`],
+    ['Input SHA-256', payload.inputHash],
+    ['Input preview', payload.input + (payload.fullLength > payload.input.length ? '…' : '')],
+    ['Match mode', payload.mode],
+    ['Granularity', payload.granularity]
+  ];
+  if (payload.normalization) {
+    facts.push(['Normalization', JSON.stringify(payload.normalization)]);
+  }
+  if (payload.recordCount !== undefined) {
+    facts.push(['FASTA records', payload.recordCount]);
+  }
+  facts.push(['Execution order', `${payload.algorithmOrder.join(' → ')} (${payload.orderMode})`]);
+  if (payload.agreement !== undefined) {
+    facts.push(['Agreement', payload.agreement
+      ? `All algorithms agree (length ${payload.expectedLength})`
+      : `Disagreement: ${payload.disagreements.map(d => `${d.algorithm}: ${d.reason}`).join('; ')}`]);
+  }
+  if (payload.runId) {
+    facts.push(['Run ID', payload.runId]);
+  }
+  return facts;
+}
+
+// Label/value pairs describing where the benchmark ran
+function environmentFacts(environment) {
+  return [
+    ['Node version', environment.nodeVersion],
+    ['Garbage collection', environment.exposeGc
+      ? 'Exposed (--expose-gc), collected before each measurement'
+      : 'Not exposed; memory figures may include uncollected garbage'],
+    ['Platform', `${environment.platform} ${environment.arch}`],
+    ['Host', environment.vercel ? 'Vercel' : 'Local']
+  ];
+}
+
+// Cells of the results table, shared by the HTML and Markdown reports
+function resultRows(payload) {
+  return orderedResults(payload).map(({ entry }) => {
+    const stats = entry.timeStats || {};
+    const status = entry.skipped ? `Skipped: ${entry.skipped}` : entry.error ? `Error: ${entry.error}` : resultStatus(entry);
+    return {
+      algorithm: entry.algorithm,
+      status,
+      length: palindromeLength(entry) ?? 'n/a',
+      iterations: entry.allTimes ? entry.allTimes.length : 0,
+      median: formatMs(stats.median),
+      mean: stats.ci95 ? `${stats.mean} ± ${Math.round((stats.ci95.upper - stats.mean) * 10000) / 10000} ms` : formatMs(stats.mean),
+      p95: formatMs(stats.p95),
+      memory: formatBytes(entry.memoryStats ? entry.memoryStats.median : entry.memoryUsed),
+      palindrome: entry.error ? '' : truncate(entry.result, REPORT_PALINDROME_CHARS)
+    };
+  });
+}
+
+// Bars for the median time and median memory charts, measured algorithms only
+function chartBars(payload) {
+  const measured = orderedResults(payload).map(r => r.entry).filter(entry => entry.timeStats);
+  return {
+    time: measured.map(entry => ({
+      label: entry.algorithm,
+      value: entry.timeStats.median,
+      lower: entry.timeStats.ci95 ? entry.timeStats.ci95.lower : null,
+      upper: entry.timeStats.ci95 ? entry.timeStats.ci95.upper : null
+    })),
+    memory: measured
+      .filter(entry => entry.memoryStats)
+      .map(entry => ({ label: entry.algorithm, value: Math.max(0, entry.memoryStats.median) }))
+  };
+}
+
+/**
+ * Horizontal SVG bar chart. Bars with lower/upper bounds get an error bar (the 95%
+ * confidence interval of the mean).
+ * 
+ * @param {Array<object>} bars - { label, value, lower?, upper? }
+ * @param {Function} format - Formats a value for its label
+ * @param {string} title - Accessible name of the chart
+ * @returns {string} - SVG markup
+ */
+function svgBarChart(bars, format, title) {
+  const width = 640;
+  const rowHeight = 28;
+  const pad = { left: 140, right: 110, top: 10, bottom: 10 };
+  const height = pad.top + pad.bottom + bars.length * rowHeight;
+  const max = Math.max(...bars.map(b => Math.max(b.value, b.upper || 0))) || 1;
+  const x = v => pad.left + Math.max(0, v) / max * (width - pad.left - pad.right);
+  
+  const rows = bars.map((bar, i) => {
+    const y = pad.top + i * rowHeight;
+    const color = SERIES_COLORS[i % SERIES_COLORS.length];
+    const whisker = bar.lower !== null && bar.lower !== undefined
+      ? `<line x1="${x(bar.lower).toFixed(1)}" y1="${y + rowHeight / 2}" x2="${x(bar.upper).toFixed(1)}" y2="${y + rowHeight / 2}" stroke="#333" stroke-width="1.5"/>`
+      : '';
+    return `
+      <text x="${pad.left - 8}" y="${y + rowHeight / 2 + 4}" text-anchor="end">${escapeHtml(bar.label)}</text>
+      <rect x="${pad.left}" y="${y + 5}" width="${(x(bar.value) - pad.left).toFixed(1)}" height="${rowHeight - 10}" fill="${color}" rx="3"/>
+      ${whisker}
+      <text x="${(x(Math.max(bar.value, bar.upper || 0)) + 6).toFixed(1)}" y="${y + rowHeight / 2 + 4}">${escapeHtml(format(bar.value))}</text>`;
+  }).join('');
+  
+  return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">${rows}
+    </svg>`;
+}
+
+/**
+ * SVG line chart of every measured iteration's time, one line per algorithm, so
+ * warmup effects and outliers show up.
+ * 
+ * @param {Array<object>} results - Entries with allTimes
+ * @returns {string} - SVG markup
+ */
+function svgIterationChart(results) {
+  const width = 640;
+  const height = 260;
+  const pad = { left: 70, right: 20, top: 15, bottom: 35 };
+  const longest = Math.max(...results.map(r => r.allTimes.length));
+  const max = Math.max(...results.flatMap(r => r.allTimes)) * 1.1 || 1;
+  const x = i => pad.left + (longest > 1 ? i / (longest - 1) : 0.5) * (width - pad.left - pad.right);
+  const y = v => height - pad.bottom - v / max * (height - pad.top - pad.bottom);
+  
+  let grid = '';
+  for (let step = 0; step <= 4; step++) {
+    const value = max * step / 4;
+    grid += `<line x1="${pad.left}" y1="${y(value).toFixed(1)}" x2="${width - pad.right}" y2="${y(value).toFixed(1)}" stroke="#eee"/>`;
+    grid += `<text x="${pad.left - 6}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end">${value.toFixed(value < 1 ? 3 : 1)} ms</text>`;
+  }
+  
+  const lines = results.map((r, i) => {
+    const color = SERIES_COLORS[i % SERIES_COLORS.length];
+    const coords = r.allTimes.map((time, j) => `${x(j).toFixed(1)},${y(time).toFixed(1)}`);
+    return `<polyline points="${coords.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>` +
+      coords.map(c => `<circle cx="${c.split(',')[0]}" cy="${c.split(',')[1]}" r="2.5" fill="${color}"/>`).join('');
+  }).join('');
+  
+  return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Time of each measured iteration">
+      ${grid}
+      <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#999"/>
+      ${lines}
+      <text x="${(width + pad.left) / 2}" y="${height - 8}" text-anchor="middle">Iteration</text>
+    </svg>`;
+}
+
+// Horizontal bar chart drawn with block characters, for Markdown
+function textBarChart(bars, format) {
+  const max = Math.max(...bars.map(b => b.value)) || 1;
+  const labelWidth = Math.max(...bars.map(b => b.label.length));
+  return bars.map(bar => {
+    const length = Math.max(bar.value > 0 ? 1 : 0, Math.round(bar.value / max * TEXT_BAR_WIDTH));
+    return `${bar.label.padEnd(labelWidth)}  ${'█'.repeat(length).padEnd(TEXT_BAR_WIDTH)}  ${format(bar.value)}`;
+  }).join('\n');
+}
+
+/**
+ * A printable HTML page with the input metadata, environment, results table and
+ * charts. Styles and charts are inline, so the file stands alone.
+ * 
+ * @param {object} payload - Response payload from runBenchmark
+ * @param {string} generatedAt - ISO timestamp of the export
+ * @returns {string} - HTML document
+ */
+function toHtml(payload, generatedAt) {
+  const factTable = facts => `
+    <table class="facts">
+      ${facts.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+    </table>`;
+  const rows = resultRows(payload).map(row => `
+        <tr>${RESULT_KEYS.map(key => `<td${key === 'palindrome' ? ' class="palindrome"' : ''}>${escapeHtml(row[key])}</td>`).join('')}</tr>`).join('');
+  const bars = chartBars(payload);
+  const withTimes = orderedResults(payload).map(r => r.entry).filter(entry => entry.allTimes && entry.allTimes.length > 0);
+  const legend = withTimes.map((entry, i) =>
+    `<span><span class="swatch" style="background-color:${SERIES_COLORS[i % SERIES_COLORS.length]}"></span>${escapeHtml(entry.algorithm)}</span>`).join('');
+  
+  const charts = bars.time.length === 0 ? '<p>No algorithm finished with timings, so there is nothing to chart.</p>' : `
+  <h2>Median Execution Time</h2>
+  <p class="note">Bars are medians; the black lines are 95% confidence intervals of the mean.</p>
+  ${svgBarChart(bars.time, formatMs, 'Median execution time by algorithm')}
+  ${bars.memory.length > 0 ? `
+  <h2>Median Memory</h2>
+  ${svgBarChart(bars.memory, formatBytes, 'Median memory by algorithm')}` : ''}
+  <h2>Iteration Times</h2>
+  ${svgIterationChart(withTimes)}
+  <div class="legend">${legend}</div>`;
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>LPS Benchmark Report</title>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2D3748; max-width: 960px; margin: 0 auto; padding: 30px; line-height: 1.5; }
+    h1 { color: #6C63FF; border-bottom: 3px solid #FF6B6B; padding-bottom: 10px; }
+    h2 { color: #6C63FF; margin-top: 30px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 20px; font-size: 14px; }
+    th, td { border-bottom: 1px solid #e2e8f0; padding: 6px 10px; text-align: left; vertical-align: top; }
+    .facts th { width: 200px; color: #718096; font-weight: 600; }
+    .results th { background-color: #F7F9FC; }
+    .palindrome { font-family: monospace; word-break: break-all; }
+    .note { color: #718096; font-size: 13px; }
+    svg { width: 100%; height: auto; }
+    svg text { font-size: 11px; fill: #555; }
+    .legend { display: flex; flex-wrap: wrap; gap: 8px 16px; font-size: 13px; }
+    .swatch { display: inline-block; width: 12px; height: 12px; border-radius: 3px; margin-right: 6px; vertical-align: middle; }
+    @media print {
+      body { padding: 0; }
+      h2, svg, table { break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <h1>LPS Benchmark Report</h1>
+  <p class="note">Generated ${escapeHtml(generatedAt)}</p>
+  
+  <h2>Input</h2>
+  ${factTable(inputFacts(payload))}
+  
+  <h2>Environment</h2>
+  ${factTable(environmentFacts(payload.environment))}
+  
+  <h2>Results</h2>
+  <table class="results">
+    <tr>${RESULT_HEADINGS.map(heading => `<th>${heading}</th>`).join('')}</tr>${rows}
+  </table>
+  ${charts}
+</body>
+</html>
+`;
+}
+
+/**
+ * The same report as toHtml in Markdown. Charts are drawn with block characters in
+ * code blocks, which render everywhere Markdown does.
+ * 
+ * @param {object} payload - Response payload from runBenchmark
+ * @param {string} generatedAt - ISO timestamp of the export
+ * @returns {string} - Markdown text
+ */
+function toMarkdown(payload, generatedAt) {
+  const factTable = facts => [
+    '| | |',
+    '| --- | --- |',
+    ...facts.map(([label, value]) => `| ${escapeMarkdown(label)} | ${escapeMarkdown(value)} |`)
+  ].join('\n');
+  const results = [
+    `| ${RESULT_HEADINGS.join(' | ')} |`,
+    `| ${RESULT_HEADINGS.map(() => '---').join(' | ')} |`,
+    ...resultRows(payload).map(row => `| ${RESULT_KEYS.map(key => escapeMarkdown(row[key])).join(' | ')} |`)
+  ].join('\n');
+  const bars = chartBars(payload);
+  
+  const sections = [
+    '# LPS Benchmark Report',
+    `Generated ${generatedAt}`,
+    '## Input',
+    factTable(inputFacts(payload)),
+    '## Environment',
+    factTable(environmentFacts(payload.environment)),
+    '## Results',
+    results
+  ];
+  if (bars.time.length > 0) {
+    sections.push('## Median Execution Time', '```\n' + textBarChart(bars.time, formatMs) + '\n```');
+  }
+  if (bars.memory.length > 0) {
+    sections.push('## Median Memory', '```\n' + textBarChart(bars.memory, formatBytes) + '\n```');
+  }
+  
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Renders a benchmark's results in an export format
+ * 
+ * @param {object} payload - Response payload from runBenchmark
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {object} - { contentType, fileName, body }
+ */
+function exportResults(payload, format) {
+  const generatedAt = new Date().toISOString();
+  const { contentType, extension } = FORMAT_TYPES[format];
+  
+  let body;
+  if (format === 'csv') {
+    body = toCsv(payload);
+  } else if (format === 'html') {
+    body = toHtml(payload, generatedAt);
+  } else if (format === 'markdown') {
+    body = toMarkdown(payload, generatedAt);
+  } else {
+    body = JSON.stringify({ exportedAt: generatedAt, ...payload }, null, 2) + '\n';
+  }
+  
+  const id = (payload.runId || payload.inputHash).slice(0, 8);
+  return { contentType, fileName: `lps-results-${id}.${extension}`, body };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFormat,
+  csvField,
+  exportResults
+};
@@ -0,0 +1,277 @@
+// Benchmark run history. Every finished run is appended to a JSON-lines file, one run
+// per line, so runs can be compared across Node versions and code changes.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { welchTTest } = require('./statistics');
+const { describeEnvironment } = require('./benchmark');
+
+// Where runs are stored. Vercel only allows writes under /tmp, which doesn't survive
+// a cold start, so history there is best effort.
+const RUNS_FILE = process.env.RUNS_FILE ||
+  (process.env.VERCEL ? '/tmp/runs.jsonl' : path.join(__dirname, '..', 'data', 'runs.jsonl'));
+
+// Page size limits for listRuns
+const DEFAULT_RUNS_LIMIT = 50;
+const MAX_RUNS_LIMIT = 500;
+
+/**
+ * Hashes an input so runs on the same text can be matched without storing it
+ * 
+ * @param {string} text - Original input text
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashInput(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Records a finished benchmark run. Failures to write are logged, not thrown, so a
+ * read-only disk never costs the caller its results.
+ * 
+ * @param {object} payload - Response payload from runBenchmark
+ * @param {string} inputText - Original input text
+ * @param {object} selection - Validated selection the run used
+ * @param {string} source - What started the run ('runAlgorithms', 'upload' or 'job')
+ * @returns {object|null} - The stored run, or null if it couldn't be saved
+ */
+function saveRun(payload, inputText, selection, source) {
+  const run = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    source,
+    environment: describeEnvironment(),
+    input: {
+      hash: payload.inputHash,
+      length: inputText.length,
+      mode: selection.mode,
+      normalization: selection.mode === 'normalized' ? selection.normalization : undefined,
+      granularity: selection.tokenization.granularity
+    },
+    settings: {
+      iterations: selection.iterations,
+      warmups: selection.warmups,
+      timeout: selection.timeout,
+      order: selection.order,
+      mismatches: selection.approximation.mismatches,
+      gap: selection.approximation.gap
+    },
+    algorithmOrder: payload.algorithmOrder,
+    agreement: payload.agreement,
+    results: payload.results.map(entry => ({
+      algorithm: entry.algorithm,
+      palindromeLength: entry.result.length,
+      executionTime: entry.executionTime,
+      memoryUsed: entry.memoryUsed,
+      iterations: entry.iterations,
+      trimmedCount: entry.trimmedCount,
+      allTimes: entry.allTimes,
+      timeStats: entry.timeStats,
+      memoryStats: entry.memoryStats,
+      skipped: entry.skipped,
+      timedOut: entry.timedOut,
+      error: entry.error
+    }))
+  };
+  
+  try {
+    fs.mkdirSync(path.dirname(RUNS_FILE), { recursive: true });
+    fs.appendFileSync(RUNS_FILE, JSON.stringify(run) + '\n');
+    return run;
+  } catch (error) {
+    console.error('Failed to save benchmark run:', error);
+    return null;
+  }
+}
+
+// Reads every stored run, oldest first, skipping lines that don't parse (e.g. a write
+// cut short)
+function readRuns() {
+  let content;
+  try {
+    content = fs.readFileSync(RUNS_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  
+  const runs = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      runs.push(JSON.parse(line));
+    } catch (error) {
+      console.error('Skipping unreadable run record');
+    }
+  }
+  return runs;
+}
+
+/**
+ * Validates the query of GET /runs
+ * 
+ * @param {object} query - Request query (offset, limit, input, algorithm)
+ * @returns {object} - { offset, limit, inputHash, algorithm }, or { error }
+ */
+function parseRunsQuery(query) {
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'Offset must be a whole number of runs' };
+  }
+  
+  const limit = query.limit === undefined ? DEFAULT_RUNS_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RUNS_LIMIT) {
+    return { error: `Limit must be a whole number between 1 and ${MAX_RUNS_LIMIT}` };
+  }
+  
+  return {
+    offset,
+    limit,
+    inputHash: query.input || undefined,
+    algorithm: query.algorithm || undefined
+  };
+}
+
+// Identifies runs on the same input read the same way, whose timings can be compared
+function inputKey(run) {
+  const { hash, mode, granularity, normalization } = run.input;
+  return `${hash}|${mode}|${granularity}|${JSON.stringify(normalization)}`;
+}
+
+/**
+ * Compares one algorithm's results from two runs. b is measured against a: a positive
+ * change means b was slower. A slowdown only counts as a regression when Welch's t-test
+ * can tell the two sets of timings apart.
+ * 
+ * @param {object} resultA - Baseline result
+ * @param {object} resultB - Result to compare against the baseline
+ * @returns {object} - { medianA, medianB, change, distinguishable?, tStatistic?, degreesOfFreedom?, verdict }
+ */
+function compareResults(resultA, resultB) {
+  const medianA = resultA.timeStats ? resultA.timeStats.median : null;
+  const medianB = resultB.timeStats ? resultB.timeStats.median : null;
+  if (medianA === null || medianB === null) {
+    return { medianA, medianB, change: null, verdict: 'not-measured' };
+  }
+  
+  const { distinguishable, tStatistic, degreesOfFreedom } = welchTTest(resultA.allTimes, resultB.allTimes);
+  let verdict = 'inconclusive';
+  if (distinguishable === false || medianA === medianB) {
+    verdict = 'unchanged';
+  } else if (distinguishable) {
+    verdict = medianB > medianA ? 'regression' : 'improvement';
+  }
+  
+  return {
+    medianA,
+    medianB,
+    // Relative change in the median, e.g. 0.25 for 25% slower
+    change: medianA > 0 ? Math.round((medianB - medianA) / medianA * 10000) / 10000 : null,
+    distinguishable,
+    tStatistic,
+    degreesOfFreedom,
+    verdict
+  };
+}
+
+// Compares each measured result with the same algorithm's previous measured result on
+// the same input, so the history chart can flag regressions the way /runs/compare does
+function compareWithPrevious(runs) {
+  const previous = new Map();
+  const comparisons = new Map();
+  
+  runs.forEach(run => {
+    const key = inputKey(run);
+    run.results.forEach(result => {
+      if (!result.timeStats) return;
+      const slot = `${key}|${result.algorithm}`;
+      const before = previous.get(slot);
+      if (before) {
+        const { change, verdict } = compareResults(before.result, result);
+        comparisons.set(`${run.id}|${result.algorithm}`, { runId: before.runId, change, verdict });
+      }
+      previous.set(slot, { runId: run.id, result });
+    });
+  });
+  return comparisons;
+}
+
+/**
+ * Lists stored runs newest first, a page at a time. Each run keeps its per-algorithm
+ * summary statistics but not the raw timings; GET /runs/:id has those. Each measured
+ * result also has `previous`: the verdict against the last run on the same input that
+ * measured the same algorithm, as GET /runs/compare would give it.
+ * 
+ * @param {object} query - Validated query from parseRunsQuery
+ * @returns {object} - { total, offset, nextOffset, runs }
+ */
+function listRuns(query) {
+  const { offset, limit, inputHash, algorithm } = query;
+  const allRuns = readRuns();
+  const previous = compareWithPrevious(allRuns);
+  const matching = allRuns
+    .filter(run => !inputHash || run.input.hash === inputHash)
+    .filter(run => !algorithm || run.results.some(r => r.algorithm === algorithm))
+    .reverse();
+  
+  const runs = matching.slice(offset, offset + limit).map(run => ({
+    ...run,
+    results: run.results.map(({ allTimes, ...result }) => ({
+      ...result,
+      previous: previous.get(`${run.id}|${result.algorithm}`)
+    }))
+  }));
+  
+  return {
+    total: matching.length,
+    offset,
+    nextOffset: offset + limit < matching.length ? offset + limit : null,
+    runs
+  };
+}
+
+/**
+ * Looks up a stored run by ID
+ * 
+ * @param {string} id - Run ID
+ * @returns {object|undefined} - The run, if it exists
+ */
+function getRun(id) {
+  return readRuns().find(run => run.id === id);
+}
+
+/**
+ * Compares two runs algorithm by algorithm (see compareResults)
+ * 
+ * @param {object} a - Baseline run
+ * @param {object} b - Run to compare against the baseline
+ * @returns {object} - { a, b, sameInput, sameEnvironment, algorithms }
+ */
+function compareRuns(a, b) {
+  const resultsB = new Map(b.results.map(r => [r.algorithm, r]));
+  
+  const algorithms = a.results
+    .filter(r => resultsB.has(r.algorithm))
+    .map(resultA => ({ algorithm: resultA.algorithm, ...compareResults(resultA, resultsB.get(resultA.algorithm)) }));
+  
+  const summary = run => ({ id: run.id, createdAt: run.createdAt, environment: run.environment, input: run.input });
+  
+  return {
+    a: summary(a),
+    b: summary(b),
+    sameInput: inputKey(a) === inputKey(b),
+    sameEnvironment: a.environment.nodeVersion === b.environment.nodeVersion &&
+      a.environment.exposeGc === b.environment.exposeGc,
+    algorithms
+  };
+}
+
+module.exports = {
+  RUNS_FILE,
+  hashInput,
+  saveRun,
+  parseRunsQuery,
+  listRuns,
+  getRun,
+  compareRuns
+};
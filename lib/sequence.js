@@ -0,0 +1,150 @@
+// DNA/RNA sequence matching. A sequence is a biological palindrome when it equals its
+// reverse complement (GAATTC reads the same on both strands), as restriction enzyme
+// recognition sites do.
+const path = require('path');
+
+// IUPAC nucleotide codes and their complements. U (RNA) is read as T, so it pairs with
+// A as well. S (C or G), W (A or T) and N (any base) are their own complements, so only
+// they can sit alone at the center of an odd-length palindrome.
+const COMPLEMENT = {
+  A: 'T', T: 'A', C: 'G', G: 'C',
+  R: 'Y', Y: 'R', K: 'M', M: 'K',
+  S: 'S', W: 'W', B: 'V', V: 'B',
+  D: 'H', H: 'D', N: 'N'
+};
+
+// Placed between records in the processed sequence. It has no complement, so no
+// palindrome can span two records.
+const RECORD_SEPARATOR = '|';
+
+const FASTA_EXTENSIONS = ['.fa', '.fasta', '.fna'];
+
+/**
+ * Whether an uploaded file name has a FASTA extension
+ * 
+ * @param {string} fileName - Original file name
+ * @returns {boolean} - True for .fa, .fasta and .fna files
+ */
+function isFastaFile(fileName) {
+  return FASTA_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Reads FASTA (or plain sequence) text into one processed sequence.
+ * 
+ * Lines starting with ">" begin a new record; ";" lines are comments. Bases are
+ * uppercased and U becomes T; anything that isn't a letter (line breaks, spaces,
+ * digits, gaps) is skipped. Text before the first header, or text without any
+ * header, forms an unnamed record. Records are joined with RECORD_SEPARATOR.
+ * 
+ * @param {string} text - FASTA file contents or a bare sequence
+ * @returns {object} - { processedStr, indexMapping, records }, where each record is
+ *   { id, description, start, length } (start is its first index in processedStr)
+ */
+function sequenceText(text) {
+  const chars = [];
+  const indexMapping = [];
+  const records = [];
+  let current = null;
+  
+  let lineStart = 0;
+  while (lineStart < text.length) {
+    let lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) lineEnd = text.length;
+    
+    if (text[lineStart] === '>') {
+      const header = text.substring(lineStart + 1, lineEnd).trim();
+      const space = header.search(/\s/);
+      current = {
+        id: space === -1 ? header : header.substring(0, space),
+        description: space === -1 ? '' : header.substring(space + 1).trim(),
+        start: chars.length,
+        length: 0,
+        headerOffset: lineStart
+      };
+      records.push(current);
+    } else if (text[lineStart] !== ';') {
+      for (let i = lineStart; i < lineEnd; i++) {
+        if (!/[a-zA-Z]/.test(text[i])) continue;
+        
+        if (!current) {
+          current = { id: null, description: '', start: chars.length, length: 0, headerOffset: lineStart };
+          records.push(current);
+        }
+        if (current.length === 0 && chars.length > 0) {
+          // Keep palindromes inside their record
+          chars.push(RECORD_SEPARATOR);
+          indexMapping.push(current.headerOffset);
+          current.start = chars.length;
+        }
+        
+        const base = text[i].toUpperCase();
+        chars.push(base === 'U' ? 'T' : base);
+        indexMapping.push(i);
+        current.length++;
+      }
+    }
+    lineStart = lineEnd + 1;
+  }
+  
+  return {
+    processedStr: chars.join(''),
+    indexMapping,
+    records: records
+      .filter(record => record.length > 0)
+      .map(({ id, description, start, length }) => ({ id, description, start, length }))
+  };
+}
+
+/**
+ * Whether a processed sequence equals its reverse complement
+ * 
+ * @param {string} sequence - Uppercase bases (U already read as T)
+ * @returns {boolean} - True when every base faces its complement
+ */
+function isReverseComplementPalindrome(sequence) {
+  for (let i = 0, j = sequence.length - 1; i <= j; i++, j--) {
+    if (COMPLEMENT[sequence[i]] !== sequence[j]) return false;
+  }
+  return true;
+}
+
+// Index of the last element of a sorted array that is <= value (binary search)
+function lastAtOrBefore(sorted, value, key = x => x) {
+  let low = 0;
+  let high = sorted.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (key(sorted[mid]) <= value) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * Finds which record a palindrome is in and its base positions within that record
+ * 
+ * @param {Array} records - Records from sequenceText
+ * @param {number} processedStart - Index of the palindrome's first base in the processed string
+ * @param {number} length - Length of the palindrome in bases
+ * @returns {object|null} - { id, description, start, end } with 1-based, inclusive base positions
+ */
+function locateInRecords(records, processedStart, length) {
+  if (!records || records.length === 0 || length <= 0) return null;
+  const record = records[lastAtOrBefore(records, processedStart, r => r.start)];
+  return {
+    id: record.id,
+    description: record.description,
+    start: processedStart - record.start + 1,
+    end: processedStart + length - record.start
+  };
+}
+
+module.exports = {
+  COMPLEMENT,
+  FASTA_EXTENSIONS,
+  isFastaFile,
+  sequenceText,
+  isReverseComplementPalindrome,
+  locateInRecords
+};
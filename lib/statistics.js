@@ -0,0 +1,161 @@
+// Two-sided 95% critical values of Student's t distribution by degrees of freedom
+const T_CRITICAL_95 = [
+  null, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+/**
+ * Looks up the two-sided 95% t critical value. Between table entries the value for the
+ * next lower degrees of freedom is used, which keeps intervals slightly conservative.
+ * 
+ * @param {number} degreesOfFreedom - Degrees of freedom (at least 1)
+ * @returns {number} - Critical value
+ */
+function tCritical95(degreesOfFreedom) {
+  const df = Math.floor(degreesOfFreedom);
+  if (df < T_CRITICAL_95.length) return T_CRITICAL_95[Math.max(df, 1)];
+  if (df < 40) return 2.042;
+  if (df < 60) return 2.021;
+  if (df < 120) return 2.000;
+  return 1.960;
+}
+
+/**
+ * Value at the given percentile, interpolating linearly between closest ranks
+ * 
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number} - Percentile value
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 1) return sorted[0];
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Rounds for JSON output without hiding sub-millisecond differences
+function round(value) {
+  return value === null ? null : parseFloat(value.toFixed(4));
+}
+
+/**
+ * Summarizes a set of measurements.
+ * 
+ * The 95% confidence interval is for the mean, using Student's t distribution since
+ * benchmarks rarely have more than a few dozen samples. It is null for a single sample.
+ * Times and byte counts can't be negative, so its lower bound is clamped at 0 for noisy
+ * samples.
+ * 
+ * @param {Array<number>} values - Raw measurements
+ * @returns {object|null} - { count, min, max, median, mean, stddev, p95, ci95 }, or null if empty
+ */
+function summarize(values) {
+  if (!values || values.length === 0) return null;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = sorted.length;
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+  
+  // Sample standard deviation (n - 1)
+  const variance = count > 1
+    ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1)
+    : 0;
+  const stddev = Math.sqrt(variance);
+  
+  let ci95 = null;
+  if (count > 1) {
+    const margin = tCritical95(count - 1) * stddev / Math.sqrt(count);
+    ci95 = { lower: round(Math.max(0, mean - margin)), upper: round(mean + margin) };
+  }
+  
+  return {
+    count,
+    min: round(sorted[0]),
+    max: round(sorted[count - 1]),
+    median: round(percentile(sorted, 50)),
+    mean: round(mean),
+    stddev: round(stddev),
+    p95: round(percentile(sorted, 95)),
+    ci95
+  };
+}
+
+/**
+ * Welch's t-test on two sets of measurements (unequal variances allowed).
+ * 
+ * @param {Array<number>} a - First sample
+ * @param {Array<number>} b - Second sample
+ * @returns {object} - { distinguishable, tStatistic, degreesOfFreedom }; distinguishable is
+ *   null when either sample has fewer than two values
+ */
+function welchTTest(a, b) {
+  if (!a || !b || a.length < 2 || b.length < 2) {
+    return { distinguishable: null, tStatistic: null, degreesOfFreedom: null };
+  }
+  
+  const sa = summarize(a);
+  const sb = summarize(b);
+  const va = (sa.stddev ** 2) / a.length;
+  const vb = (sb.stddev ** 2) / b.length;
+  const meanDifference = sa.mean - sb.mean;
+  
+  // No spread at all: any difference in means is real
+  if (va + vb === 0) {
+    return { distinguishable: meanDifference !== 0, tStatistic: null, degreesOfFreedom: null };
+  }
+  
+  const tStatistic = meanDifference / Math.sqrt(va + vb);
+  const degreesOfFreedom = (va + vb) ** 2 /
+    ((va ** 2) / (a.length - 1) + (vb ** 2) / (b.length - 1));
+  
+  return {
+    distinguishable: Math.abs(tStatistic) > tCritical95(degreesOfFreedom),
+    tStatistic: round(tStatistic),
+    degreesOfFreedom: round(degreesOfFreedom)
+  };
+}
+
+/**
+ * Fits y = c·x^k by least squares on log-log axes. The slope k is the empirical
+ * growth exponent, e.g. about 2 for an O(n²) algorithm. Non-positive points are ignored.
+ * 
+ * @param {Array<number>} xs - Input sizes
+ * @param {Array<number>} ys - Measurements at each size
+ * @returns {object|null} - { exponent, r2, points }, or null with fewer than two usable points
+ */
+function fitPowerLaw(xs, ys) {
+  const points = xs
+    .map((x, i) => [x, ys[i]])
+    .filter(([x, y]) => x > 0 && y > 0)
+    .map(([x, y]) => [Math.log(x), Math.log(y)]);
+  if (points.length < 2) return null;
+  
+  const n = points.length;
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(([x, y]) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  });
+  if (sxx === 0) return null;
+  
+  const exponent = sxy / sxx;
+  // Share of the variance explained by the line (1 = perfect power law)
+  const r2 = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+  
+  return { exponent: round(exponent), r2: round(r2), points: n };
+}
+
+module.exports = {
+  summarize,
+  welchTTest,
+  fitPowerLaw,
+  percentile
+};
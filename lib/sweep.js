@@ -0,0 +1,222 @@
+const { preprocessString } = require('./algorithms');
+const { parseSelection, getExecutionOrder, measureIsolated } = require('./registry');
+const { parseGeneratorOptions, generateInput } = require('./generators');
+const { fitPowerLaw } = require('./statistics');
+
+// Default input sizes: doubling from 1K to 256K characters
+const DEFAULT_SWEEP_SIZES = [1, 2, 4, 8, 16, 32, 64, 128, 256].map(k => k * 1000);
+const MAX_SWEEP_SIZE = 500000; // Same cap as uploaded files
+const MAX_SWEEP_POINTS = 20;
+
+// Sweeps measure many inputs, so each measurement gets less time than a single run
+const SWEEP_DEFAULT_TIMEOUT_MS = 10000; // 10 seconds
+
+// Time allowed for a whole sweep; sizes still waiting when it runs out are skipped
+const SWEEP_DEFAULT_MAX_DURATION_MS = 2 * 60 * 1000; // 2 minutes
+const SWEEP_MAX_DURATION_MS = 30 * 60 * 1000; // 30 minutes
+
+// Measured when the request names no algorithms: the linear-time ones reach the
+// largest sizes, where the quadratic ones would only time out
+const SWEEP_DEFAULT_ALGORITHMS = ['manacher', 'eertree'];
+
+const DEFAULT_GENERATOR = 'same-char';
+
+/**
+ * Parses a size such as 4000, "4000" or "4K"
+ * 
+ * @param {number|string} value - Size in characters, optionally with a K suffix
+ * @returns {number} - Size, or NaN if invalid
+ */
+function parseSize(value) {
+  const match = String(value).trim().match(/^(\d+)(k?)$/i);
+  if (!match) return NaN;
+  return parseInt(match[1], 10) * (match[2] ? 1000 : 1);
+}
+
+/**
+ * Validates a sweep request: the input source, the sizes, and the usual algorithm
+ * selection and measurement settings (see parseSelection).
+ * 
+ * @param {object} [fields] - Request body fields
+ * @param {string} [fields.generator] - One of the GENERATORS keys (default 'same-char'); its seed and
+ *   options are read from the same fields as GET /generate
+ * @param {string} [fields.baseText] - Text repeated or truncated to each size, instead of a generator
+ * @param {Array|string} [fields.sizes] - Sizes as an array or comma-separated string (e.g. "1K,2K,4K")
+ * @param {number|string} [fields.maxDuration] - Milliseconds allowed for the whole sweep (default 2 minutes)
+ * @returns {object} - { generator, baseText, sizes, maxDuration, selection } on success or { error }
+ */
+function parseSweep(fields = {}) {
+  const { baseText } = fields;
+  const hasBaseText = baseText !== undefined && baseText !== null && baseText !== '';
+  
+  if (hasBaseText && typeof baseText !== 'string') {
+    return { error: 'Base text must be a string' };
+  }
+  
+  let sizes = DEFAULT_SWEEP_SIZES;
+  if (fields.sizes !== undefined && fields.sizes !== null && fields.sizes !== '') {
+    sizes = (Array.isArray(fields.sizes) ? fields.sizes : String(fields.sizes).split(','))
+      .map(parseSize);
+    if (sizes.some(size => !Number.isInteger(size) || size < 1 || size > MAX_SWEEP_SIZE)) {
+      return { error: `Sizes must be whole numbers of characters between 1 and ${MAX_SWEEP_SIZE}` };
+    }
+    sizes = [...new Set(sizes)].sort((a, b) => a - b);
+    if (sizes.length < 2 || sizes.length > MAX_SWEEP_POINTS) {
+      return { error: `A sweep needs between 2 and ${MAX_SWEEP_POINTS} distinct sizes` };
+    }
+  }
+  
+  // Validate the generator settings against the largest size
+  let generator = null;
+  if (!hasBaseText) {
+    generator = parseGeneratorOptions(
+      { ...fields, type: fields.generator, length: sizes[sizes.length - 1] },
+      { type: DEFAULT_GENERATOR }
+    );
+    if (generator.error) {
+      return { error: generator.error };
+    }
+  }
+  
+  let maxDuration = SWEEP_DEFAULT_MAX_DURATION_MS;
+  if (fields.maxDuration !== undefined && fields.maxDuration !== null && fields.maxDuration !== '') {
+    maxDuration = Number(fields.maxDuration);
+    if (!Number.isInteger(maxDuration) || maxDuration <= 0 || maxDuration > SWEEP_MAX_DURATION_MS) {
+      return { error: `Maximum duration must be a whole number of milliseconds between 1 and ${SWEEP_MAX_DURATION_MS}` };
+    }
+  }
+  
+  const hasAlgorithms = fields.algorithms !== undefined && fields.algorithms !== null && fields.algorithms !== '';
+  const selection = parseSelection({
+    ...fields,
+    algorithms: hasAlgorithms ? fields.algorithms : SWEEP_DEFAULT_ALGORITHMS,
+    timeout: fields.timeout !== undefined && fields.timeout !== '' ? fields.timeout : SWEEP_DEFAULT_TIMEOUT_MS
+  });
+  if (selection.error) {
+    return { error: selection.error };
+  }
+  
+  // The base text has to survive the same normalization the algorithms will see
+  if (hasBaseText && preprocessString(baseText, selection.normalization, selection.mode, selection.tokenization).processedStr.length === 0) {
+    return { error: 'Base text must contain at least one letter or digit' };
+  }
+  
+  return { generator, baseText: hasBaseText ? baseText : null, sizes, maxDuration, selection };
+}
+
+// Builds the input of the given size from the base text or the generator
+function buildInput(sweep, size) {
+  if (sweep.generator) {
+    const { type, seed, options } = sweep.generator;
+    return generateInput(type, size, { seed, options });
+  }
+  return sweep.baseText.repeat(Math.ceil(size / sweep.baseText.length)).substring(0, size);
+}
+
+/**
+ * Measures each selected algorithm at every size and fits its growth exponent.
+ * 
+ * An algorithm that times out (or is skipped by its guard) at one size is skipped at
+ * all larger sizes, since it would only get slower. Once the sweep's maxDuration is
+ * used up, every remaining measurement is skipped too. Sizes are fitted against the
+ * preprocessed length, which is what the algorithms actually see.
+ * 
+ * @param {object} sweep - Validated sweep from parseSweep
+ * @returns {Promise<object>} - Per-algorithm time and memory series with fitted exponents
+ */
+async function runSweep(sweep) {
+  const { selection } = sweep;
+  const executionOrder = getExecutionOrder(selection.names, 'fixed');
+  const series = Object.fromEntries(executionOrder.map(a => [a.name, []]));
+  const stoppedBy = {};
+  const deadline = Date.now() + sweep.maxDuration;
+  const outOfTimeReason = `sweep ran out of time (${sweep.maxDuration} ms)`;
+  let outOfTime = false;
+  
+  for (const size of sweep.sizes) {
+    const inputText = buildInput(sweep, size);
+    const { normalization, mode, approximation, tokenization } = selection;
+    const { processedStr, indexMapping } = preprocessString(inputText, normalization, mode, tokenization);
+    const preprocessedData = { processedStr, indexMapping, originalStr: inputText, normalization, mode, approximation, tokenization };
+    console.log(`Sweep: measuring ${size} characters (${processedStr.length} processed)`);
+    
+    // Re-order at every size so no algorithm always runs on a warm (or cold) process
+    for (const algorithm of getExecutionOrder(selection.names, selection.order)) {
+      const point = { size, processedLength: processedStr.length };
+      
+      if (stoppedBy[algorithm.name]) {
+        series[algorithm.name].push({ ...point, skipped: stoppedBy[algorithm.name] });
+        continue;
+      }
+      
+      // A measurement never runs past the end of the sweep's time
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        outOfTime = true;
+        series[algorithm.name].push({ ...point, skipped: outOfTimeReason });
+        continue;
+      }
+      const timeout = Math.min(selection.timeout, remaining);
+      
+      const result = await measureIsolated(algorithm, preprocessedData, {
+        timeout,
+        iterations: selection.iterations,
+        warmups: selection.warmups
+      });
+      
+      if (result.timedOut && timeout < selection.timeout) {
+        outOfTime = true;
+        series[algorithm.name].push({ ...point, skipped: outOfTimeReason });
+        continue;
+      }
+      if (result.skipped || result.timedOut || result.error) {
+        const reason = result.skipped || result.error || `timed out after ${selection.timeout} ms`;
+        stoppedBy[algorithm.name] = `${reason} at ${size} characters`;
+        const entry = { ...point, skipped: reason };
+        if (result.timedOut) entry.timedOut = true;
+        series[algorithm.name].push(entry);
+        continue;
+      }
+      
+      series[algorithm.name].push({
+        ...point,
+        // The median resists the odd slow run better than the mean
+        executionTime: result.timeStats ? result.timeStats.median : result.executionTime,
+        memoryUsed: result.memoryStats ? result.memoryStats.median : result.memoryUsage * 1024
+      });
+    }
+  }
+  
+  const results = executionOrder.map(algorithm => {
+    const measured = series[algorithm.name].filter(p => p.executionTime !== undefined);
+    const lengths = measured.map(p => p.processedLength);
+    return {
+      algorithm: algorithm.name,
+      complexity: algorithm.complexity,
+      series: series[algorithm.name],
+      timeFit: fitPowerLaw(lengths, measured.map(p => p.executionTime)),
+      memoryFit: fitPowerLaw(lengths, measured.map(p => p.memoryUsed))
+    };
+  });
+  
+  return {
+    generator: sweep.generator ? sweep.generator.type : null,
+    seed: sweep.generator ? sweep.generator.seed : null,
+    baseText: sweep.baseText ? sweep.baseText.substring(0, 100) : null,
+    sizes: sweep.sizes,
+    timeout: selection.timeout,
+    maxDuration: sweep.maxDuration,
+    outOfTime,
+    mode: selection.mode,
+    normalization: selection.mode === 'normalized' ? selection.normalization : undefined,
+    granularity: selection.tokenization.granularity,
+    results
+  };
+}
+
+module.exports = {
+  DEFAULT_SWEEP_SIZES,
+  SWEEP_DEFAULT_ALGORITHMS,
+  parseSweep,
+  runSweep
+};
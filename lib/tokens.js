@@ -0,0 +1,166 @@
+// Token-level palindromes: words or lines that read the same in reverse order, such as
+// "first ladies rule the state and state the rule ladies first". Each token becomes one
+// character of the processed string, so every algorithm runs over tokens unchanged.
+const vm = require('vm');
+const { normalizeText, isDefaultNormalization } = require('./normalization');
+
+// Units compared by the algorithms:
+// - char: single characters (the default)
+// - word: runs matched by the word pattern
+// - line: whole lines, ignoring blank ones
+const GRANULARITIES = ['char', 'word', 'line'];
+
+// Letters and digits, keeping inner apostrophes ("don't") in the word
+const DEFAULT_WORD_PATTERN = "[\\p{L}\\p{N}]+(?:['’][\\p{L}\\p{N}]+)*";
+
+// Longest word pattern accepted, and how long matching it over an input may take (ms)
+const MAX_WORD_PATTERN_LENGTH = 200;
+const WORD_MATCH_TIMEOUT = 2000;
+
+// Tokens are numbered from here as UTF-16 code units, skipping the surrogate range
+const TOKEN_CODE_FIRST = 0x100;
+const SURROGATE_FIRST = 0xD800;
+const SURROGATE_LAST = 0xDFFF;
+const MAX_DISTINCT_TOKENS = (0xFFFF - TOKEN_CODE_FIRST + 1) - (SURROGATE_LAST - SURROGATE_FIRST + 1);
+
+// Thrown when an input can't be split into tokens; routes answer it with a 400
+class TokenizationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenizationError';
+    this.status = 400;
+  }
+}
+
+// Word patterns run in their own V8 context under a time limit, so one that backtracks
+// catastrophically fails the request instead of stalling the server
+const wordContext = vm.createContext({});
+const matchWords = new vm.Script(
+  "Array.from(text.matchAll(new RegExp(pattern, 'gu')), match => [match.index, match.index + match[0].length])"
+);
+
+/**
+ * Validates the granularity and word pattern fields of a request
+ * 
+ * @param {object} [fields] - Request body fields
+ * @param {string} [fields.granularity] - One of GRANULARITIES (default 'char')
+ * @param {string} [fields.wordPattern] - Regular expression source for a word (default DEFAULT_WORD_PATTERN)
+ * @returns {object} - { tokenization: { granularity, wordPattern } } on success or { error }
+ */
+function parseTokenization(fields = {}) {
+  const granularity = fields.granularity || 'char';
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `Unknown granularity "${granularity}". Expected one of: ${GRANULARITIES.join(', ')}` };
+  }
+  
+  const wordPattern = fields.wordPattern || DEFAULT_WORD_PATTERN;
+  if (wordPattern.length > MAX_WORD_PATTERN_LENGTH) {
+    return { error: `Word pattern must be at most ${MAX_WORD_PATTERN_LENGTH} characters` };
+  }
+  let pattern;
+  try {
+    pattern = new RegExp(wordPattern, 'gu');
+  } catch (e) {
+    return { error: `Invalid word pattern: ${e.message}` };
+  }
+  if (pattern.test('')) {
+    return { error: 'Word pattern must not match empty text' };
+  }
+  
+  return { tokenization: { granularity, wordPattern } };
+}
+
+// Splits text into { start, end } spans of words or non-blank lines
+function tokenSpans(text, granularity, wordPattern) {
+  if (granularity === 'word') {
+    wordContext.text = text;
+    wordContext.pattern = wordPattern;
+    try {
+      return matchWords.runInContext(wordContext, { timeout: WORD_MATCH_TIMEOUT })
+        .map(([start, end]) => ({ start, end }));
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw new TokenizationError(`Word pattern took over ${WORD_MATCH_TIMEOUT} ms to match the input; try a simpler pattern`);
+      }
+      throw error;
+    } finally {
+      wordContext.text = null;
+    }
+  }
+  
+  const spans = [];
+  let lineStart = 0;
+  while (lineStart <= text.length) {
+    let lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) lineEnd = text.length;
+    
+    // Leading and trailing whitespace isn't part of the line
+    let start = lineStart;
+    let end = lineEnd;
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (end > start) spans.push({ start, end });
+    
+    lineStart = lineEnd + 1;
+  }
+  return spans;
+}
+
+/**
+ * Reads text as a sequence of word or line tokens.
+ * 
+ * Each token is normalized like character-level input (or kept exactly as written in
+ * raw mode); tokens left empty, such as a line of punctuation, are skipped. Equal
+ * tokens get the same single character in processedStr. indexMapping holds where each
+ * token starts, and indexMapping.ends where it ends (exclusive), so results map back to
+ * whole words or lines.
+ * 
+ * @param {string} text - Original input text
+ * @param {object} tokenization - { granularity, wordPattern } from parseTokenization
+ * @param {object} [normalization] - Normalization options applied to each token
+ * @param {string} [mode] - 'raw' compares tokens exactly as written
+ * @returns {object} - { processedStr, indexMapping }
+ * @throws {TokenizationError} - If the word pattern times out or there are too many distinct tokens
+ */
+function tokenizeText(text, tokenization, normalization, mode) {
+  const { granularity, wordPattern = DEFAULT_WORD_PATTERN } = tokenization;
+  const codes = new Map();
+  const chars = [];
+  const indexMapping = [];
+  indexMapping.ends = [];
+  
+  for (const { start, end } of tokenSpans(text, granularity, wordPattern)) {
+    const raw = text.substring(start, end);
+    let key = raw;
+    if (mode !== 'raw') {
+      key = isDefaultNormalization(normalization)
+        ? raw.replace(/[^a-zA-Z0-9]/g, '').toLowerCase()
+        : normalizeText(raw, normalization).processedStr;
+      if (!key) continue;
+    }
+    
+    if (!codes.has(key)) {
+      if (codes.size >= MAX_DISTINCT_TOKENS) {
+        throw new TokenizationError(`Too many distinct ${granularity}s (at most ${MAX_DISTINCT_TOKENS})`);
+      }
+      let code = TOKEN_CODE_FIRST + codes.size;
+      if (code >= SURROGATE_FIRST) code += SURROGATE_LAST - SURROGATE_FIRST + 1;
+      codes.set(key, String.fromCharCode(code));
+    }
+    
+    chars.push(codes.get(key));
+    indexMapping.push(start);
+    indexMapping.ends.push(end);
+  }
+  
+  return { processedStr: chars.join(''), indexMapping };
+}
+
+module.exports = {
+  GRANULARITIES,
+  DEFAULT_WORD_PATTERN,
+  MAX_WORD_PATTERN_LENGTH,
+  TokenizationError,
+  parseTokenization,
+  tokenizeText
+};
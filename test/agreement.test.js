@@ -0,0 +1,59 @@
+// The request-time cross-check that compares the algorithms' results
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkAgreement } = require('../lib/agreement');
+const { parseSelection, runBenchmark } = require('../lib/registry');
+
+const selection = parseSelection({});
+
+test('agrees when every result has the maximal length', () => {
+  const check = checkAgreement([
+    { algorithm: 'manacher', result: 'racecar' },
+    { algorithm: 'dp', result: 'Race car' }
+  ], selection);
+  assert.equal(check.agreement, true);
+  assert.equal(check.expectedLength, 7);
+  assert.deepEqual(check.disagreements, []);
+});
+
+test('names an algorithm that returned a shorter palindrome', () => {
+  const check = checkAgreement([
+    { algorithm: 'manacher', result: 'racecar' },
+    { algorithm: 'naive', result: 'cec' }
+  ], selection);
+  assert.equal(check.agreement, false);
+  assert.deepEqual(check.disagreements.map(d => d.algorithm), ['naive']);
+  assert.equal(check.disagreements[0].length, 3);
+});
+
+test('names an algorithm that returned something that is not a palindrome', () => {
+  const check = checkAgreement([
+    { algorithm: 'manacher', result: 'aba' },
+    { algorithm: 'eertree', result: 'abcd' }
+  ], selection);
+  assert.equal(check.agreement, false);
+  assert.equal(check.expectedLength, 3);
+  assert.deepEqual(check.disagreements, [{ algorithm: 'eertree', length: 4, reason: 'Not a palindrome' }]);
+});
+
+test('reports agreement in the benchmark response', async () => {
+  const payload = await runBenchmark('Was it a car or a cat I saw?', parseSelection({
+    algorithms: 'manacher,expand,eertree',
+    iterations: 1,
+    warmups: 0
+  }));
+  assert.equal(payload.agreement, true);
+  assert.equal(payload.expectedLength, 19);
+  assert.deepEqual(payload.disagreements, []);
+});
+
+test('leaves approximate results out of the comparison when mismatches are allowed', async () => {
+  const payload = await runBenchmark('abcxba', parseSelection({
+    algorithms: 'manacher,approximate',
+    mismatches: 1,
+    iterations: 1,
+    warmups: 0
+  }));
+  assert.equal(payload.agreement, true);
+  assert.equal(payload.expectedLength, 1);
+});
@@ -0,0 +1,66 @@
+// Palindrome analyses run in a worker thread, as the /analyses route runs them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAnalysisQuery, runAnalyses, runAnalysesIsolated } = require('../lib/analyses');
+const { parsePalindromeQuery, findPalindromes } = require('../lib/palindromes');
+
+test('finds the longest palindromic subsequence and the fewest edits', () => {
+  const { subsequence, edits } = runAnalyses('character', parseAnalysisQuery({ analyses: 'subsequence,edits' }));
+  assert.equal(subsequence.text, 'carac');
+  assert.deepEqual(subsequence.indices, [0, 2, 3, 4, 5]);
+  assert.equal(edits.insertions, 4);
+  assert.equal(edits.deletions, 4);
+  assert.equal(edits.insertedPalindrome, 'retcharahcter');
+});
+
+test('cuts the input into the fewest palindromes', () => {
+  const { partition } = runAnalyses('aab', parseAnalysisQuery({ analyses: 'partition' }));
+  assert.equal(partition.cuts, 1);
+  assert.deepEqual(partition.parts.map(part => part.text), ['aa', 'b']);
+});
+
+test('counts the palindromes in a small string', () => {
+  // a, aa, b, aba and aabaa; 'a' occurs 4 times and 'aa' twice, 9 substrings in all
+  const { total, palindromes } = findPalindromes('aabaa', parsePalindromeQuery({ mode: 'top', k: 10, minLength: 1 }));
+  assert.equal(total, 5);
+  assert.equal(palindromes.reduce((sum, p) => sum + p.occurrences, 0), 9);
+});
+
+test('gives the same answers in a worker as on the calling thread', async () => {
+  const text = 'Was it a car or a cat I saw? No, racecar!';
+  const query = parseAnalysisQuery({});
+  assert.deepEqual(await runAnalysesIsolated(text, query), runAnalyses(text, query));
+});
+
+test('keeps the status of an input error raised in the worker', async () => {
+  const words = Array.from({ length: 70000 }, (_, i) => `w${i}`).join(' ');
+  const query = parseAnalysisQuery({ analyses: 'partition', granularity: 'word' });
+  await assert.rejects(runAnalysesIsolated(words, query), error => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, /Too many distinct words/);
+    return true;
+  });
+});
+
+test('leaves the event loop free while a large analysis runs', async () => {
+  // Partitioning a run of one letter is quadratic: about a second of work at this size
+  const query = parseAnalysisQuery({ analyses: 'partition' });
+  let last = Date.now();
+  let longestGap = 0;
+  let ticks = 0;
+  const timer = setInterval(() => {
+    const now = Date.now();
+    longestGap = Math.max(longestGap, now - last);
+    last = now;
+    ticks++;
+  }, 10);
+  
+  try {
+    const { partition } = await runAnalysesIsolated('a'.repeat(20000), query);
+    assert.equal(partition.cuts, 0);
+  } finally {
+    clearInterval(timer);
+  }
+  assert.ok(ticks > 10, `only ${ticks} timer ticks ran`);
+  assert.ok(longestGap < 250, `the event loop was blocked for ${longestGap} ms`);
+});
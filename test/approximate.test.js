@@ -0,0 +1,41 @@
+// Where the approximate matcher reports its mismatched pairs and gap
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { preprocessString, approximateDetails } = require('../lib/algorithms');
+
+// Details of the approximate palindrome in a text read with the default normalization
+function details(text, approximation) {
+  const { processedStr, indexMapping } = preprocessString(text);
+  return approximateDetails(processedStr, indexMapping, text, undefined, approximation);
+}
+
+test('reports the mismatched pair by its offsets and characters', () => {
+  assert.deepEqual(details('abcxba', { mismatches: 1, gap: 0 }), {
+    mismatches: [{ left: 2, right: 3, leftChar: 'c', rightChar: 'x' }],
+    gap: null
+  });
+});
+
+test('gives the mismatch offsets in the original text, with its case', () => {
+  // Processed "abcxba"; the comma and spaces are skipped
+  assert.deepEqual(details('Ab, cXba!', { mismatches: 1, gap: 0 }), {
+    mismatches: [{ left: 4, right: 5, leftChar: 'c', rightChar: 'X' }],
+    gap: null
+  });
+});
+
+test('reports the gap as a range of the original text', () => {
+  // "abc de cba" read as "abc" + gap "de" + "cba"; "de" is at 8-10 of the original
+  assert.deepEqual(details('zz abc--de--cba', { mismatches: 0, gap: 2 }), {
+    mismatches: [],
+    gap: { start: 8, end: 10 }
+  });
+  assert.deepEqual(details('abcXYZcba', { mismatches: 0, gap: 3 }).gap, { start: 3, end: 6 });
+});
+
+test('does not call the middle of an odd palindrome a gap', () => {
+  assert.deepEqual(details('abcdxba', { mismatches: 1, gap: 1 }), {
+    mismatches: [{ left: 2, right: 4, leftChar: 'c', rightChar: 'x' }],
+    gap: null
+  });
+});
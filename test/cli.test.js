@@ -0,0 +1,53 @@
+// The lps command-line interface, run as a separate process
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'lps.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lps-cli-'));
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Runs the CLI with the given arguments and stdin; returns { status, stdout, stderr }
+function lps(args, input = '') {
+  return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 30000 });
+}
+
+test('finds the longest palindrome in a file and prints it as JSON', () => {
+  const file = path.join(dir, 'input.txt');
+  fs.writeFileSync(file, 'Was it a car or a cat I saw?');
+  
+  const { status, stdout } = lps(['find', file, '--format', 'json']);
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(stdout), {
+    algorithm: 'manacher',
+    substring: 'Was it a car or a cat I saw',
+    start: 0,
+    end: 27,
+    length: 27,
+    processedLength: 19,
+    valid: true
+  });
+});
+
+test('reads the input from stdin', () => {
+  const { status, stdout } = lps(['find', '-a', 'expand', '-f', 'json'], 'xx racecar yy');
+  assert.equal(status, 0);
+  assert.equal(JSON.parse(stdout).substring, 'racecar');
+});
+
+test('exits with 2 and explains an unknown algorithm', () => {
+  const { status, stdout, stderr } = lps(['find', '-a', 'nope'], 'racecar');
+  assert.equal(status, 2);
+  assert.equal(stdout, '');
+  assert.match(stderr, /Unknown algorithm\(s\): nope/);
+});
+
+test('fails when the input file does not exist', () => {
+  const { status, stderr } = lps(['find', path.join(dir, 'missing.txt')]);
+  assert.equal(status, 2);
+  assert.match(stderr, /Cannot read .*missing\.txt/);
+});
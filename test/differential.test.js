@@ -0,0 +1,160 @@
+// Differential fuzzing: every registered algorithm must return a palindrome of the same
+// maximal length as a simple reference, on random and adversarial inputs.
+//
+// FUZZ_SEED picks another set of inputs and FUZZ_CASES changes how many are tried per
+// scenario; a failure message includes the seed and input so it can be reproduced.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { algorithms } = require('../lib/registry');
+const { preprocessString, validatePalindrome, spanText } = require('../lib/algorithms');
+const { createRandom, generateInput, GENERATORS } = require('../lib/generators');
+const { parseTokenization } = require('../lib/tokens');
+const { COMPLEMENT } = require('../lib/sequence');
+
+const SEED = Number(process.env.FUZZ_SEED || 20240611);
+const CASES = Number(process.env.FUZZ_CASES || 40);
+const MAX_LENGTH = 120;
+
+// Longest palindrome length by plain expansion around every center, written apart from
+// the algorithms under test. With a complement map, a character matches the
+// complement of the one facing it.
+function referenceLength(processedStr, complement) {
+  const n = processedStr.length;
+  const matches = (l, r) => complement
+    ? COMPLEMENT[processedStr[l]] === processedStr[r]
+    : processedStr[l] === processedStr[r];
+  let best = 0;
+  for (let center = 0; center < 2 * n - 1; center++) {
+    let l = center >> 1;
+    let r = l + (center & 1);
+    while (l >= 0 && r < n && matches(l, r)) {
+      l--;
+      r++;
+    }
+    best = Math.max(best, r - l - 1);
+  }
+  return best;
+}
+
+// Random text with spaces, punctuation and mixed case around the letters
+function decorate(random, chars) {
+  const noise = [' ', ',', '.', '!', '-', '\n', "'"];
+  return chars.map(char => {
+    let out = random() < 0.5 ? char.toUpperCase() : char;
+    if (random() < 0.3) out += noise[Math.floor(random() * noise.length)];
+    return out;
+  }).join('');
+}
+
+// Picks from a list with the seeded generator
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Runs every algorithm that supports the input on it and checks each result
+ * 
+ * @param {string} text - Original input
+ * @param {object} [settings] - { normalization, mode, tokenization }
+ * @param {string} label - Describes the case in failure messages
+ */
+function checkAllAlgorithms(text, settings, label) {
+  const { normalization, mode = 'normalized', tokenization } = settings;
+  const { processedStr, indexMapping } = preprocessString(text, normalization, mode, tokenization);
+  const complement = mode === 'sequence' ? COMPLEMENT : undefined;
+  const expected = referenceLength(processedStr, complement);
+  const where = `${label} (seed ${SEED}): ${JSON.stringify(text)}`;
+  
+  for (const algorithm of algorithms) {
+    if (mode === 'sequence' && !algorithm.sequence) continue;
+    if (algorithm.guard && algorithm.guard(processedStr)) continue;
+    
+    const span = algorithm.fn(processedStr, indexMapping, text, complement, { mismatches: 0, gap: 0 });
+    const result = spanText(span, indexMapping, text);
+    const length = result ? preprocessString(result, normalization, mode, tokenization).processedStr.length : 0;
+    
+    assert.ok(text.includes(result), `${algorithm.name} returned text not in the input for ${where}`);
+    assert.equal(length, expected, `${algorithm.name} found length ${length} instead of ${expected} for ${where}`);
+    if (length > 0) {
+      assert.ok(validatePalindrome(result, normalization, mode, tokenization),
+        `${algorithm.name} returned a non-palindrome ${JSON.stringify(result)} for ${where}`);
+    }
+  }
+}
+
+test('agrees on tiny inputs', () => {
+  for (const text of ['', 'a', 'ab', 'aa', 'aba', 'abc', '!!', 'a,b', 'A man, a plan', '12321']) {
+    checkAllAlgorithms(text, {}, 'tiny');
+  }
+});
+
+test('agrees on every generator pattern', () => {
+  const random = createRandom(SEED);
+  for (const type of Object.keys(GENERATORS)) {
+    for (let i = 0; i < CASES; i++) {
+      const length = 1 + Math.floor(random() * MAX_LENGTH);
+      const text = generateInput(type, length, {
+        seed: Math.floor(random() * 0x100000000),
+        options: { alphabet: 1 + Math.floor(random() * 4) }
+      });
+      checkAllAlgorithms(text, {}, `generator ${type}`);
+    }
+  }
+});
+
+test('agrees on random text with spaces, punctuation and mixed case', () => {
+  const random = createRandom(SEED + 1);
+  for (let i = 0; i < CASES; i++) {
+    const chars = generateInput('random', 1 + Math.floor(random() * MAX_LENGTH), {
+      seed: Math.floor(random() * 0x100000000),
+      options: { alphabet: 1 + Math.floor(random() * 3) }
+    }).split('');
+    checkAllAlgorithms(decorate(random, chars), {}, 'decorated');
+  }
+});
+
+test('agrees in raw mode', () => {
+  const random = createRandom(SEED + 2);
+  for (let i = 0; i < CASES; i++) {
+    const length = 1 + Math.floor(random() * MAX_LENGTH);
+    const text = Array.from({ length }, () => pick(random, ['a', 'A', ' ', ',', '😀'])).join('');
+    checkAllAlgorithms(text, { mode: 'raw' }, 'raw');
+  }
+});
+
+test('agrees with Unicode normalization', () => {
+  const random = createRandom(SEED + 3);
+  const symbols = ['é', 'é', 'E', 'ß', 'я', 'Я', '𝒜', '1', ' '];
+  const settings = [
+    { letters: 'unicode' },
+    { letters: 'unicode', foldDiacritics: true },
+    { letters: 'unicode', graphemes: true, caseSensitive: true }
+  ];
+  for (let i = 0; i < CASES; i++) {
+    const length = 1 + Math.floor(random() * 60);
+    const text = Array.from({ length }, () => pick(random, symbols)).join('');
+    checkAllAlgorithms(text, { normalization: pick(random, settings) }, 'unicode');
+  }
+});
+
+test('agrees at word and line granularity', () => {
+  const random = createRandom(SEED + 4);
+  const word = parseTokenization({ granularity: 'word' }).tokenization;
+  const line = parseTokenization({ granularity: 'line' }).tokenization;
+  for (let i = 0; i < CASES; i++) {
+    const length = 1 + Math.floor(random() * 40);
+    const words = Array.from({ length }, () => pick(random, ['the', 'The', 'rule', 'state', "don't", 'a']));
+    checkAllAlgorithms(words.join(pick(random, [' ', ', '])), { tokenization: word }, 'word');
+    checkAllAlgorithms(words.join('\n'), { tokenization: line }, 'line');
+  }
+});
+
+test('agrees on reverse-complement palindromes in sequence mode', () => {
+  const random = createRandom(SEED + 5);
+  for (let i = 0; i < CASES; i++) {
+    const length = 1 + Math.floor(random() * MAX_LENGTH);
+    const bases = Array.from({ length }, () => pick(random, ['A', 'C', 'G', 'T', 'a', 'N', 'S', 'u'])).join('');
+    const text = random() < 0.5 ? `>seq${i}\n${bases}` : `>one\n${bases}\n>two\n${bases}`;
+    checkAllAlgorithms(text, { mode: 'sequence' }, 'sequence');
+  }
+});
@@ -0,0 +1,39 @@
+// Seeded synthetic inputs for the sample controls and sweeps
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_GENERATED_LENGTH, parseGeneratorOptions, generateInput } = require('../lib/generators');
+
+const isPalindrome = text => text === [...text].reverse().join('');
+
+test('generates the same text from the same seed and options', () => {
+  const settings = { seed: 42, options: { alphabet: 4, palindromeLength: 50 } };
+  assert.equal(generateInput('embedded', 500, settings), generateInput('embedded', 500, settings));
+  assert.notEqual(generateInput('embedded', 500, settings), generateInput('embedded', 500, { ...settings, seed: 43 }));
+  assert.notEqual(generateInput('random', 500, { seed: 1 }), generateInput('random', 500, { seed: 2 }));
+});
+
+test('embeds a palindrome of the requested length at the requested offset', () => {
+  const text = generateInput('embedded', 200, { seed: 7, options: { alphabet: 3, offset: 30, palindromeLength: 41 } });
+  assert.equal(text.length, 200);
+  assert.ok(isPalindrome(text.slice(30, 71)));
+});
+
+test('keeps the neighbouring characters from extending the palindrome', () => {
+  // With two letters the characters either side often match before the fix-up
+  for (let seed = 0; seed < 200; seed++) {
+    const text = generateInput('embedded', 60, { seed, options: { alphabet: 2, offset: 20, palindromeLength: 11 } });
+    assert.ok(isPalindrome(text.slice(20, 31)), `seed ${seed}`);
+    assert.notEqual(text[19], text[31], `seed ${seed}`);
+  }
+});
+
+test('rejects out-of-range generator settings', () => {
+  assert.ok(parseGeneratorOptions({ type: 'random', length: 0 }).error);
+  assert.ok(parseGeneratorOptions({ type: 'random', length: MAX_GENERATED_LENGTH + 1 }).error);
+  assert.ok(parseGeneratorOptions({ type: 'random', length: 10, seed: 1.5 }).error);
+  assert.ok(parseGeneratorOptions({ type: 'random', length: 10, alphabet: 37 }).error);
+  assert.ok(parseGeneratorOptions({ type: 'unknown', length: 10 }).error);
+  
+  const parsed = parseGeneratorOptions({ type: 'random', length: '500000', seed: '3', alphabet: '36' });
+  assert.deepEqual(parsed, { type: 'random', length: 500000, seed: 3, options: { alphabet: 36 } });
+});
@@ -0,0 +1,43 @@
+// The programmatic API in index.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findLongestPalindrome, measurePerformance, preprocessString } = require('..');
+const { manacherLPS } = require('../lib/algorithms');
+
+test('reports the offsets of the palindrome found, not of an earlier copy of its text', () => {
+  // "red fish red" also occurs at offset 1, across the words "bred fish redo"
+  const text = 'bred fish redo. Then: red fish red.';
+  const result = findLongestPalindrome(text, { algorithm: 'expand', granularity: 'word' });
+  
+  assert.equal(result.substring, 'red fish red');
+  assert.equal(result.start, 22);
+  assert.equal(result.end, 34);
+  assert.equal(result.processedLength, 3);
+});
+
+test('places a sequence palindrome in its record when the header repeats it', () => {
+  const result = findLongestPalindrome('>site GAATTC\nAAAGAATTCAAA', { mode: 'sequence' });
+  
+  assert.equal(result.substring, 'GAATTC');
+  assert.equal(result.start, 16);
+  assert.equal(result.end, 22);
+  assert.deepEqual(result.record, { id: 'site', description: 'GAATTC', start: 4, end: 9 });
+});
+
+test('returns null offsets when there is no palindrome', () => {
+  const result = findLongestPalindrome('?!', {});
+  assert.deepEqual([result.substring, result.start, result.end, result.processedLength], ['', null, null, 0]);
+});
+
+test('reports the requested iterations and how many survived outlier trimming', () => {
+  const text = 'Was it a car or a cat I saw?';
+  const measurement = measurePerformance(manacherLPS, 'manacher', { ...preprocessString(text), originalStr: text }, {
+    iterations: 5,
+    warmups: 0
+  });
+  
+  assert.equal(measurement.iterations, 5);
+  assert.equal(measurement.trimmedCount, 3);
+  assert.equal(measurement.allTimes.length, 5);
+  assert.deepEqual(measurement.span, { start: 0, length: 19 });
+});
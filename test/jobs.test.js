@@ -0,0 +1,103 @@
+// Background benchmark jobs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Completed jobs are saved to the run history; keep them out of the real one
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lps-jobs-'));
+process.env.RUNS_FILE = path.join(dir, 'runs.jsonl');
+const { createJob, cancelJob, subscribeToJob, runQueued } = require('../lib/jobs');
+const { algorithms, parseSelection } = require('../lib/registry');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Resolves when the job sends an event of the given type
+function nextEvent(job, type) {
+  return new Promise(resolve => {
+    const unsubscribe = subscribeToJob(job, event => {
+      if (event.type === type) {
+        setImmediate(unsubscribe);
+        resolve(event);
+      }
+    });
+  });
+}
+
+test('cancelling a running job stops its worker straight away', async () => {
+  // expand is quadratic on a run of one letter: seconds per iteration at this size
+  const slow = createJob('a'.repeat(60000), parseSelection({
+    algorithms: 'expand,manacher',
+    order: 'fixed',
+    iterations: 5,
+    warmups: 0
+  }));
+  const next = createJob('racecar', parseSelection({ algorithms: 'manacher', iterations: 1, warmups: 0 }));
+  await nextEvent(slow, 'algorithm-start');
+  await new Promise(resolve => setTimeout(resolve, 300));
+  
+  const started = Date.now();
+  cancelJob(slow.id);
+  assert.equal(slow.status, 'cancelled');
+  assert.ok(slow.finishedAt);
+  assert.deepEqual(slow.progress.algorithms.map(a => a.status), ['cancelled', 'cancelled']);
+  
+  // The queue moves on without waiting for the cancelled measurement
+  await nextEvent(next, 'job-complete');
+  assert.equal(next.status, 'completed');
+  assert.ok(Date.now() - started < 2000);
+  assert.deepEqual(slow.result.results, []);
+});
+
+test('progress only moves forward from the warmups to the measured runs', async () => {
+  const job = createJob('Was it a car or a cat I saw?', parseSelection({ algorithms: 'manacher', iterations: 3, warmups: 2 }));
+  // The share of one algorithm's runs that are done, as the live progress bar works it out
+  const fractions = [];
+  subscribeToJob(job, event => {
+    if (event.type === 'warmup') {
+      fractions.push(event.warmup / (event.totalWarmups + event.iterations));
+    } else if (event.type === 'iteration') {
+      fractions.push((event.totalWarmups + event.iteration) / (event.totalWarmups + event.iterations));
+    }
+  });
+  
+  await nextEvent(job, 'job-complete');
+  assert.deepEqual(fractions, [1, 2, 3, 4, 5].map(runs => runs / 5));
+});
+
+test('reports an algorithm that fails as an error, not as completed', async () => {
+  // Registered here but not in the measurement worker, whose lookup then throws
+  algorithms.push({ name: 'broken', displayName: 'Broken', complexity: {}, fn: () => null });
+  try {
+    const job = createJob('racecar', parseSelection({ algorithms: 'broken,manacher', order: 'fixed', iterations: 1, warmups: 0 }));
+    const completions = [];
+    subscribeToJob(job, event => {
+      if (event.type === 'algorithm-complete') completions.push(event);
+    });
+    
+    await nextEvent(job, 'job-complete');
+    assert.equal(completions[0].status, 'error');
+    assert.match(completions[0].error, /Unknown algorithm: broken/);
+    assert.equal(completions[1].status, 'completed');
+    assert.deepEqual(job.progress.algorithms.map(a => a.status), ['error', 'completed']);
+  } finally {
+    algorithms.pop();
+  }
+});
+
+test('a synchronous measurement waits for the job ahead of it', async () => {
+  const finished = [];
+  const job = createJob('Was it a car or a cat I saw?', parseSelection({ algorithms: 'manacher,expand', iterations: 2, warmups: 0 }));
+  subscribeToJob(job, event => {
+    if (event.type === 'job-complete') finished.push('job');
+  });
+  
+  const value = await runQueued(async () => {
+    finished.push('task');
+    return 42;
+  });
+  assert.equal(value, 42);
+  assert.deepEqual(finished, ['job', 'task']);
+  await assert.rejects(runQueued(() => { throw new Error('bad input'); }), /bad input/);
+});
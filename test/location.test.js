@@ -0,0 +1,60 @@
+// Where a palindrome is reported in the original input
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSelection, runBenchmark } = require('../lib/registry');
+
+// "red fish red" also occurs at offset 1, across the words "bred fish redo"
+const TEXT = 'bred fish redo. Then: red fish red.';
+const START = TEXT.lastIndexOf('red fish red');
+
+test('locates the span the algorithm matched, not an earlier copy of its text', async () => {
+  const payload = await runBenchmark(TEXT, parseSelection({
+    algorithms: 'manacher,expand',
+    granularity: 'word',
+    iterations: 1,
+    warmups: 0,
+    contextChars: 6
+  }));
+  
+  for (const entry of payload.results) {
+    assert.equal(entry.result, 'red fish red');
+    assert.equal(entry.location.start, START);
+    assert.equal(entry.location.end, START + 'red fish red'.length);
+    assert.equal(entry.location.startColumn, START + 1);
+    assert.equal(entry.context.before, 'Then: ');
+    assert.equal(entry.context.after, '.');
+  }
+});
+
+test('places a sequence palindrome in its FASTA record when the header has the same bases', async () => {
+  const fasta = '>site GAATTC\nAAAGAATTCAAA';
+  const payload = await runBenchmark(fasta, parseSelection({
+    algorithms: 'manacher',
+    mode: 'sequence',
+    iterations: 1,
+    warmups: 0
+  }));
+  
+  const [entry] = payload.results;
+  assert.equal(entry.result, 'GAATTC');
+  assert.equal(entry.location.start, 16);
+  assert.equal(entry.location.startLine, 2);
+  assert.equal(entry.record.id, 'site');
+  assert.equal(entry.record.start, 4);
+  assert.equal(entry.record.end, 9);
+});
+
+test('locates a word palindrome whose text also spans other words earlier on', async () => {
+  const text = 'xstate and statex. Then: state and state.';
+  const payload = await runBenchmark(text, parseSelection({
+    algorithms: 'eertree',
+    granularity: 'word',
+    iterations: 1,
+    warmups: 0
+  }));
+  
+  const [entry] = payload.results;
+  assert.equal(entry.result, 'state and state');
+  assert.equal(entry.location.start, 25);
+  assert.equal(entry.location.end, 40);
+});
@@ -0,0 +1,54 @@
+// Paging through POST /palindromes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+
+let server;
+let baseUrl;
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => server.close());
+
+// Posts JSON fields to /palindromes; resolves to { status, body }
+async function listPalindromes(fields) {
+  const response = await fetch(`${baseUrl}/palindromes`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Seven maximal palindromes, one per letter: a, aba, a, abacaba, a, aba, a
+const INPUT = 'abacaba';
+
+test('returns one page and where the next one starts', async () => {
+  const { status, body } = await listPalindromes({ inputString: INPUT, minLength: 1, limit: 3 });
+  assert.equal(status, 200);
+  assert.equal(body.total, 7);
+  assert.equal(body.offset, 0);
+  assert.equal(body.limit, 3);
+  assert.equal(body.nextOffset, 3);
+  assert.deepEqual(body.palindromes.map(p => p.text), ['a', 'aba', 'a']);
+});
+
+test('ends with a null nextOffset on the last page', async () => {
+  const { body } = await listPalindromes({ inputString: INPUT, minLength: 1, offset: 6, limit: 3 });
+  assert.equal(body.nextOffset, null);
+  assert.deepEqual(body.palindromes.map(p => [p.text, p.start, p.end]), [['a', 6, 7]]);
+  
+  const past = await listPalindromes({ inputString: INPUT, minLength: 1, offset: 10 });
+  assert.equal(past.body.nextOffset, null);
+  assert.deepEqual(past.body.palindromes, []);
+});
+
+test('rejects a negative offset and a limit out of range', async () => {
+  for (const fields of [{ limit: -1 }, { limit: 0 }, { limit: 1001 }, { offset: -1 }]) {
+    const { status, body } = await listPalindromes({ inputString: INPUT, ...fields });
+    assert.equal(status, 400, JSON.stringify(fields));
+    assert.match(body.error, /limit between 1 and 1000/);
+  }
+});
@@ -0,0 +1,61 @@
+// CSV, JSON, HTML and Markdown exports of a benchmark's results
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExportFormat, exportResults } = require('../lib/reports');
+const { parseSelection, runBenchmark } = require('../lib/registry');
+
+// One benchmark shared by the tests; naive is skipped to cover a result without timings
+let payload;
+test.before(async () => {
+  payload = await runBenchmark('Was it a car or a cat I saw?', parseSelection({
+    algorithms: 'manacher,expand',
+    order: 'fixed',
+    iterations: 3,
+    warmups: 0
+  }));
+  payload.results.push({ algorithm: 'naive', result: '', executionTime: 0, memoryUsed: 0, iterations: 0, skipped: 'Input too large' });
+  payload.algorithmOrder.push('naive');
+});
+
+test('accepts the export formats and rejects others', () => {
+  assert.deepEqual(parseExportFormat(undefined), { format: null });
+  assert.deepEqual(parseExportFormat('csv'), { format: 'csv' });
+  assert.ok(parseExportFormat('xml').error);
+});
+
+test('writes one CSV row per algorithm and iteration', () => {
+  const { contentType, fileName, body } = exportResults(payload, 'csv');
+  const lines = body.trim().split('\n');
+  assert.equal(contentType, 'text/csv');
+  assert.match(fileName, /^lps-results-\w{8}\.csv$/);
+  assert.match(lines[0], /^algorithm,execution_order,status,iteration,time_ms,memory_bytes,/);
+  assert.equal(lines.length, 1 + 3 + 3 + 1);
+  assert.match(lines[1], /^manacher,1,ok,1,/);
+  assert.match(lines[7], /^naive,3,skipped,,,,0,/);
+});
+
+test('exports the full payload as JSON', () => {
+  const exported = JSON.parse(exportResults(payload, 'json').body);
+  assert.deepEqual(exported.algorithmOrder, ['manacher', 'expand', 'naive']);
+  assert.equal(exported.results[0].allTimes.length, 3);
+  assert.equal(exported.results[0].allMemory.length, 3);
+  assert.equal(exported.environment.nodeVersion, process.version);
+  assert.ok(exported.exportedAt);
+});
+
+test('builds a self-contained HTML report with environment and charts', () => {
+  const { contentType, body } = exportResults(payload, 'html');
+  assert.equal(contentType, 'text/html');
+  assert.match(body, /<h2>Environment<\/h2>/);
+  assert.ok(body.includes(process.version));
+  assert.ok(body.includes(payload.inputHash));
+  assert.equal((body.match(/<svg /g) || []).length, 3);
+  assert.ok(!/<(script|link)\b/.test(body));
+});
+
+test('builds a Markdown report with text charts', () => {
+  const { body } = exportResults(payload, 'markdown');
+  assert.match(body, /^# LPS Benchmark Report/);
+  assert.match(body, /\| Host \| (Local|Vercel) \|/);
+  assert.match(body, /manacher +█+ +[\d.]+ ms/);
+});
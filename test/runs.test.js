@@ -0,0 +1,88 @@
+// Saved benchmark runs and run-to-run comparison
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the store at a scratch file before the module reads RUNS_FILE
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lps-runs-'));
+process.env.RUNS_FILE = path.join(dir, 'runs.jsonl');
+const { RUNS_FILE, saveRun, listRuns, getRun, compareRuns, parseRunsQuery, hashInput } = require('../lib/runs');
+const { parseSelection, runBenchmark } = require('../lib/registry');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// One algorithm's stored result with the given timings
+function fakeResult(algorithm, times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  return { algorithm, allTimes: times, timeStats: { median: sorted[Math.floor(sorted.length / 2)] } };
+}
+
+// A stored run with one algorithm's timings
+function fakeRun(id, times) {
+  return {
+    id,
+    createdAt: new Date().toISOString(),
+    environment: { nodeVersion: process.version, exposeGc: false },
+    input: { hash: 'abc', length: 10, mode: 'normalized', granularity: 'char' },
+    results: [fakeResult('manacher', times)]
+  };
+}
+
+test('saves a run and reads it back', async () => {
+  const text = 'Was it a car or a cat I saw?';
+  const selection = parseSelection({ algorithms: 'manacher,expand', iterations: 2, warmups: 0 });
+  const payload = await runBenchmark(text, selection);
+  const run = saveRun(payload, text, selection, 'runAlgorithms');
+  
+  assert.ok(run.id);
+  assert.equal(run.input.hash, hashInput(text));
+  assert.equal(run.input.length, text.length);
+  assert.equal(run.environment.nodeVersion, process.version);
+  assert.equal(run.environment.exposeGc, typeof global.gc === 'function');
+  assert.deepEqual(getRun(run.id), JSON.parse(JSON.stringify(run)));
+  
+  const listed = listRuns(parseRunsQuery({ input: run.input.hash }));
+  assert.equal(listed.total, 1);
+  assert.equal(listed.runs[0].id, run.id);
+  assert.equal(listed.runs[0].results[0].allTimes, undefined);
+});
+
+test('rejects a bad page size', () => {
+  assert.ok(parseRunsQuery({ limit: '0' }).error);
+  assert.ok(parseRunsQuery({ offset: '-1' }).error);
+});
+
+test('flags a slowdown beyond the noise as a regression', () => {
+  const comparison = compareRuns(fakeRun('a', [10, 10.2, 9.9, 10.1]), fakeRun('b', [15, 15.1, 14.9, 15.2]));
+  assert.equal(comparison.sameInput, true);
+  assert.equal(comparison.algorithms[0].verdict, 'regression');
+  assert.ok(comparison.algorithms[0].change > 0.4);
+});
+
+test('calls overlapping timings unchanged', () => {
+  const comparison = compareRuns(fakeRun('a', [10, 12, 9, 11]), fakeRun('b', [11, 9, 12, 10]));
+  assert.equal(comparison.algorithms[0].verdict, 'unchanged');
+});
+
+test('lists each result with the verdict against the previous run on the same input', () => {
+  const before = fakeRun('history-a', [10, 10.2, 9.9, 10.1]);
+  const after = fakeRun('history-b', [15, 15.1, 14.9, 15.2]);
+  // More algorithms in the same pair of runs: one faster, one within the noise
+  before.results.push(fakeResult('expand', [20, 20.3, 19.8, 20.1]), fakeResult('eertree', [10, 12, 9, 11]));
+  after.results.push(fakeResult('expand', [12, 12.1, 11.9, 12.2]), fakeResult('eertree', [11, 9, 12, 10]));
+  before.input.hash = after.input.hash = 'history';
+  fs.appendFileSync(RUNS_FILE, JSON.stringify(before) + '\n' + JSON.stringify(after) + '\n');
+  
+  const [latest, earlier] = listRuns(parseRunsQuery({ input: 'history' })).runs;
+  const compared = compareRuns(before, after).algorithms;
+  assert.deepEqual(compared.map(c => c.verdict), ['regression', 'improvement', 'unchanged']);
+  latest.results.forEach((result, i) => {
+    assert.equal(earlier.results[i].previous, undefined);
+    assert.equal(result.previous.runId, 'history-a');
+    assert.equal(result.algorithm, compared[i].algorithm);
+    assert.equal(result.previous.verdict, compared[i].verdict);
+    assert.equal(result.previous.change, compared[i].change);
+  });
+});
@@ -0,0 +1,58 @@
+// Summary statistics, Welch's t-test and power-law fits used by comparisons and sweeps
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarize, welchTTest, fitPowerLaw } = require('../lib/statistics');
+
+test('summarizes a sample', () => {
+  // Mean 3, sample variance 2.5; t(4) = 2.776, so the margin is 2.776 · √2.5 / √5
+  assert.deepEqual(summarize([5, 1, 4, 2, 3]), {
+    count: 5,
+    min: 1,
+    max: 5,
+    median: 3,
+    mean: 3,
+    stddev: 1.5811,
+    p95: 4.8,
+    ci95: { lower: 1.0371, upper: 4.9629 }
+  });
+  assert.equal(summarize([7]).ci95, null);
+  assert.equal(summarize([]), null);
+});
+
+test('never puts the lower confidence bound below zero', () => {
+  // Mean 250 with a margin of 3.182 · 500 / 2 = 795.5
+  const { ci95 } = summarize([0, 0, 0, 1000]);
+  assert.equal(ci95.lower, 0);
+  assert.equal(ci95.upper, 1045.5);
+});
+
+test("computes Welch's t statistic and degrees of freedom", () => {
+  // Variances of the means 2.5 / 5 = 0.5 and 4 / 3; t = (3 - 8) / √(11 / 6), and
+  // Welch–Satterthwaite df = (11 / 6)² / (0.5² / 4 + (4 / 3)² / 2) ≈ 3.53
+  const { distinguishable, tStatistic, degreesOfFreedom } = welchTTest([1, 2, 3, 4, 5], [6, 8, 10]);
+  // welchTTest works from the rounded summaries, so allow for the last digit
+  assert.ok(Math.abs(tStatistic - -3.6927) < 0.001, `t = ${tStatistic}`);
+  assert.ok(Math.abs(degreesOfFreedom - 3.5328) < 0.001, `df = ${degreesOfFreedom}`);
+  // |t| is above t(3) = 3.182
+  assert.equal(distinguishable, true);
+});
+
+test('cannot tell samples apart without enough values or spread', () => {
+  assert.deepEqual(welchTTest([1], [2, 3]), { distinguishable: null, tStatistic: null, degreesOfFreedom: null });
+  assert.equal(welchTTest([], [1, 2]).distinguishable, null);
+  assert.equal(welchTTest([4, 4, 4], [4, 4]).distinguishable, false);
+  assert.equal(welchTTest([4, 4, 4], [5, 5]).distinguishable, true);
+  assert.equal(welchTTest([10, 12, 9, 11], [11, 9, 12, 10]).distinguishable, false);
+});
+
+test('fits an exponent of 2 to a quadratic series', () => {
+  const sizes = [1000, 2000, 4000, 8000, 16000];
+  const fit = fitPowerLaw(sizes, sizes.map(n => 3e-6 * n * n));
+  assert.equal(fit.exponent, 2);
+  assert.equal(fit.r2, 1);
+  assert.equal(fit.points, 5);
+  
+  // Points that can't go on log axes are left out
+  assert.equal(fitPowerLaw([0, 10, 20], [5, 0, 4]), null);
+  assert.equal(fitPowerLaw([10, 100], [1, 10]).exponent, 1);
+});
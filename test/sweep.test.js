@@ -0,0 +1,21 @@
+// Scaling sweeps across input sizes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSweep, runSweep, SWEEP_DEFAULT_ALGORITHMS } = require('../lib/sweep');
+
+test('measures the linear-time algorithms unless others are named', () => {
+  assert.deepEqual(parseSweep({}).selection.names, SWEEP_DEFAULT_ALGORITHMS);
+  assert.deepEqual(parseSweep({ algorithms: 'expand' }).selection.names, ['expand']);
+  assert.ok(parseSweep({ maxDuration: '0' }).error);
+});
+
+test('skips what is left once the sweep runs out of time', async () => {
+  const sweep = parseSweep({ sizes: '1K,2K', iterations: 1, warmups: 0, maxDuration: 1 });
+  const payload = await runSweep(sweep);
+  
+  assert.equal(payload.outOfTime, true);
+  for (const result of payload.results) {
+    assert.equal(result.series.length, 2);
+    assert.match(result.series[1].skipped, /ran out of time/);
+  }
+});
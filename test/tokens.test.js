@@ -0,0 +1,33 @@
+// Splitting input into word and line tokens, and rejecting inputs that can't be split
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTokenization, tokenizeText, TokenizationError, MAX_WORD_PATTERN_LENGTH } = require('../lib/tokens');
+const { parseSelection, runBenchmark } = require('../lib/registry');
+
+test('maps each word back to where it is in the text', () => {
+  const { processedStr, indexMapping } = tokenizeText("Don't stop, don't!", { granularity: 'word' });
+  assert.equal(processedStr.length, 3);
+  assert.equal(processedStr[0], processedStr[2]);
+  assert.deepEqual([...indexMapping], [0, 6, 12]);
+  assert.deepEqual(indexMapping.ends, [5, 10, 17]);
+});
+
+test('rejects an overlong word pattern', () => {
+  assert.ok(parseTokenization({ granularity: 'word', wordPattern: 'a'.repeat(MAX_WORD_PATTERN_LENGTH + 1) }).error);
+});
+
+test('stops a word pattern that backtracks catastrophically', async () => {
+  const selection = parseSelection({ algorithms: 'manacher', granularity: 'word', wordPattern: '(a+)+b' });
+  assert.equal(selection.error, undefined);
+  await assert.rejects(runBenchmark('a'.repeat(40) + '!', selection), error => {
+    assert.ok(error instanceof TokenizationError);
+    assert.equal(error.status, 400);
+    return true;
+  });
+});
+
+test('rejects more distinct words than fit in the processed string', () => {
+  const words = Array.from({ length: 70000 }, (_, i) => `w${i}`).join(' ');
+  assert.throws(() => tokenizeText(words, { granularity: 'word' }), error =>
+    error instanceof TokenizationError && error.status === 400 && /Too many distinct words/.test(error.message));
+});